@@ -3,14 +3,42 @@ oopsie.js - an exception handling/reporting library
 Written by: Seth Thomas
 
 Dependencies:
-    jQuery
-    javascript-stacktrace: https://github.com/eriwen/javascript-stacktrace
-    json2.js: http://www.JSON.org/json2.js
+    jQuery (optional): used for jQuery specific features (AJAX breadcrumbs/capture, auditing $.fn.on
+        and $.Deferred, stringifying jQuery objects) and for sending reports when available
+    javascript-stacktrace (optional): https://github.com/eriwen/javascript-stacktrace
+    json2.js (older browsers): http://www.JSON.org/json2.js
+
+Loading:
+    browser: <script src="oopsie.js"></script> defines window.oopsie
+    AMD:     define(['oopsie'], function (oopsie) { ... });
+    Node.js: var oopsie = require('./oopsie');
+        global capture is off until oopsie.capture.enable() is called; it then listens to
+        process.on('uncaughtException') and process.on('unhandledRejection')
+
+Tests:
+    node --test test/ (Node.js 18+)
 */
 
-(function ($, window, document, undefined) {
+(function (root, factory) {
+    'use strict';
+
+    var oopsie = factory(root.jQuery, root, root.document);
+
+    if (typeof(define) === 'function' && define.amd) {
+        define([], function () {
+            return oopsie;
+        });
+    } else if (typeof(module) === 'object' && module.exports) {
+        module.exports = oopsie;
+    } else {
+        root.oopsie = oopsie;
+    }
+})(typeof(window) !== 'undefined' ? window : typeof(global) !== 'undefined' ? global : this, function ($, window, document, undefined) {
+    // window is the global object, which isn't a window in Node.js; document is only available in browsers
     'use strict';
 
+    var ownStart = getRawStack(); // where oopsie's code starts; see isInternalFrame()
+
     var VERSION = '0.1';
 
     //{{{ internal helpers
@@ -24,14 +52,472 @@ Dependencies:
         return Array.prototype.slice.apply(arguments);
     }
 
-    var canStackTrace = $.isFunction(window.printStackTrace);
+    // stand-ins for the jQuery utilities; jQuery is optional (and isn't available in Node.js)
+
+    function isFunction(value) {
+        return typeof(value) === 'function';
+    }
+
+    var isArray = Array.isArray || function (value) {
+        return Object.prototype.toString.call(value) === '[object Array]';
+    };
+
+    function isArrayLike(o) {
+        // arrays, arguments, NodeLists, jQuery objects, etc.
+        var length = !!o && typeof(o) === 'object' && o.length;
+        if (isArray(o)) {
+            return true;
+        }
+        return typeof(length) === 'number' && !o.nodeType && o !== o.window &&
+            (length === 0 || (length > 0 && (length - 1) in o));
+    }
+
+    function isPlainObject(value) {
+        // created by {} or new Object (in any frame), or Object.create(null)
+        var proto;
+        if (!value || Object.prototype.toString.call(value) !== '[object Object]') {
+            return false;
+        }
+        proto = Object.getPrototypeOf(value);
+        return proto === null || Object.getPrototypeOf(proto) === null;
+    }
+
+    function each(o, fn) {
+        // like $.each: fn.call(value, key, value) for array items or object properties; returning
+        // false stops the loop
+        var i,
+            k;
+        if (isArrayLike(o)) {
+            for (i = 0; i < o.length; i++) {
+                if (fn.call(o[i], i, o[i]) === false) {
+                    break;
+                }
+            }
+        } else {
+            for (k in o) {
+                if (hasOwn(o, k) && fn.call(o[k], k, o[k]) === false) {
+                    break;
+                }
+            }
+        }
+        return o;
+    }
+
+    function map(o, fn) {
+        // like $.map: fn(value, key); null/undefined results are dropped and arrays are flattened
+        var results = [];
+        each(o, function (k, v) {
+            var result = fn(v, k),
+                i;
+            if (isArray(result)) {
+                for (i = 0; i < result.length; i++) {
+                    results.push(result[i]);
+                }
+            } else if (result !== null && result !== undefined) {
+                results.push(result);
+            }
+        });
+        return results;
+    }
+
+    function grep(list, fn) {
+        // like $.grep: the items for which fn(item, index) is truthy
+        var results = [];
+        for (var i = 0; i < list.length; i++) {
+            if (fn(list[i], i)) {
+                results.push(list[i]);
+            }
+        }
+        return results;
+    }
+
+    function inArray(value, list) {
+        for (var i = 0; i < list.length; i++) {
+            if (list[i] === value) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    function extend(target) {
+        // like $.extend (shallow): copies the properties of the other arguments onto target,
+        // skipping undefined values
+        var i,
+            k,
+            source;
+        for (i = 1; i < arguments.length; i++) {
+            source = arguments[i];
+            for (k in source || {}) {
+                if (source[k] !== undefined) {
+                    target[k] = source[k];
+                }
+            }
+        }
+        return target;
+    }
+
+    function testRegExp(re, str) {
+        // RegExp.test() for RegExps that are kept and reused; with the g or y flags, test() continues
+        // from the last match
+        re.lastIndex = 0;
+        return re.test(str);
+    }
+
+    function trim(str) {
+        return String(str === null || str === undefined ? '' : str).replace(/^\s+|\s+$/g, '');
+    }
+
+    function noop() {}
+
+    var isBrowser = !!document,
+        isNode = !isBrowser && typeof(process) === 'object' && !!process && isFunction(process.on);
+
+    function listen(target, type, fn, capture) {
+        // native event listener; returns a function that removes it
+        if (!target || !isFunction(target.addEventListener)) {
+            return noop;
+        }
+        target.addEventListener(type, fn, !!capture);
+        return function () {
+            target.removeEventListener(type, fn, !!capture);
+        };
+    }
+
+    var canStackTrace = isFunction(window.printStackTrace);
 
     function getStackTrace() {
         return window.printStackTrace().join('\n');
     }
 
+    // oopsie's own timers use the native functions, in case they get patched (ex: global async auditing)
+    var nativeSetTimeout = window.setTimeout,
+        nativeClearTimeout = window.clearTimeout,
+        nativeSetInterval = window.setInterval;
+
+    var fakeClock = null; // see oopsie.testing.useFakeClock()
+
+    function setTimer(fn, delay) {
+        if (fakeClock) {
+            return fakeClock.schedule(fn, delay, false);
+        }
+        return nativeSetTimeout.call(window, fn, delay);
+    }
+
+    function clearTimer(id) {
+        if (id && id.oopsieFakeTimer) {
+            if (fakeClock) {
+                fakeClock.cancel(id);
+            }
+            return;
+        }
+        nativeClearTimeout.call(window, id);
+    }
+
+    function setRepeatingTimer(fn, delay) {
+        if (fakeClock) {
+            return fakeClock.schedule(fn, delay, true);
+        }
+        return nativeSetInterval.call(window, fn, delay);
+    }
+
+    function now() {
+        // current time in milliseconds
+        return fakeClock ? fakeClock.now() : new Date().getTime();
+    }
+
+    var fakeRandom = null; // see oopsie.testing.useRandom()
+
+    function random() {
+        // a number in [0, 1); for decisions that tests need to control (ex: sampling)
+        return fakeRandom ? fakeRandom() : Math.random();
+    }
+
     //}}}
 
+    //{{{ promises
+
+    // oopsie's asynchronous steps (handlers, reporters, etc.) use native Promises; where those aren't
+    // available (or in synchronous mode; see oopsie.testing.useSyncPromises), a minimal synchronous
+    // implementation is used instead
+
+    var syncPromises = false;
+
+    function createSyncPromise(executor) {
+        // a promise that runs its callbacks synchronously; supports then() and catch()
+        var state = 'pending',
+            result,
+            settled = false,
+            callbacks = [],
+            promise = {};
+
+        function settle(newState, value) {
+            var pending = callbacks;
+            state = newState;
+            result = value;
+            callbacks = [];
+            for (var i = 0; i < pending.length; i++) {
+                pending[i]();
+            }
+        }
+
+        function resolve(value) {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            if (value && (typeof(value) === 'object' || isFunction(value)) && isFunction(value.then)) {
+                // adopt the state of another promise (including a jQuery Deferred)
+                try {
+                    value.then(function (v) {
+                        settle('fulfilled', v);
+                    }, function (reason) {
+                        settle('rejected', reason);
+                    });
+                } catch (e) {
+                    settle('rejected', e);
+                }
+                return;
+            }
+            settle('fulfilled', value);
+        }
+
+        function reject(reason) {
+            if (!settled) {
+                settled = true;
+                settle('rejected', reason);
+            }
+        }
+
+        promise.then = function (onFulfilled, onRejected) {
+            return createSyncPromise(function (resolveNext, rejectNext) {
+                function run() {
+                    var callback = state === 'fulfilled' ? onFulfilled : onRejected;
+                    if (!isFunction(callback)) {
+                        (state === 'fulfilled' ? resolveNext : rejectNext)(result);
+                        return;
+                    }
+                    try {
+                        resolveNext(callback(result));
+                    } catch (e) {
+                        rejectNext(e);
+                    }
+                }
+
+                if (state === 'pending') {
+                    callbacks.push(run);
+                } else {
+                    run();
+                }
+            });
+        };
+
+        promise['catch'] = function (onRejected) {
+            return promise.then(undefined, onRejected);
+        };
+
+        try {
+            executor(resolve, reject);
+        } catch (e) {
+            reject(e);
+        }
+
+        return promise;
+    }
+
+    function makePromise(executor) {
+        return !syncPromises && isFunction(window.Promise) ? new window.Promise(executor) : createSyncPromise(executor);
+    }
+
+    function resolved(value) {
+        return makePromise(function (resolve) {
+            resolve(value);
+        });
+    }
+
+    function rejected(reason) {
+        return makePromise(function (resolve, reject) {
+            reject(reason);
+        });
+    }
+
+    function createDeferred() {
+        // {promise, resolve, reject}; resolve and reject can be called without a context
+        var deferred = {};
+        deferred.promise = makePromise(function (resolve, reject) {
+            deferred.resolve = resolve;
+            deferred.reject = reject;
+        });
+        return deferred;
+    }
+
+    //}}} end of promises
+
+    //{{{ stack frame parsing
+
+    // turns the various stack trace formats into an array of frames:
+    //   {functionName: 'foo', file: 'http://example.com/app.js', line: 12, column: 5}
+    // supported formats:
+    //   V8 (Chrome, IE10+):  "    at foo (http://example.com/app.js:12:5)"
+    //   Gecko/Webkit:        "foo@http://example.com/app.js:12:5"
+    //   printStackTrace:     "foo(1,2)@http://example.com/app.js:12:5"
+    //   Opera (.stacktrace): "Error thrown at line 12, column 5 in foo() in http://example.com/app.js:"
+    //                        "Line 12 of linked script http://example.com/app.js: In function foo"
+    // column is undefined when the browser doesn't provide it; lines that aren't frames are skipped
+
+    var stackFormats = [
+            {
+                // V8
+                re: /^\s*at\s+(?:(?:new |async )?(.+?)\s+\()?([^\s()]+?):(\d+)(?::(\d+))?\)?\s*$/,
+                fields: [1, 2, 3, 4]
+            },
+            {
+                // Gecko, Webkit and printStackTrace
+                re: /^\s*([^@]*?)(?:\(.*\))?@(.+?):(\d+)(?::(\d+))?\s*$/,
+                fields: [1, 2, 3, 4]
+            },
+            {
+                // Opera 10+ .stacktrace
+                re: /line (\d+), column (\d+) in (.+?) in (\S+?):?\s*$/i,
+                fields: [3, 4, 1, 2]
+            },
+            {
+                // Opera 9 .stacktrace/.message
+                re: /^\s*Line (\d+) of (?:linked|inline|eval) script (\S+?)(?::\s*In function (\S+))?\s*$/i,
+                fields: [3, 2, 1]
+            }
+        ],
+        evalFrameRegExp = /\(eval at [^()]*\(([^()]*)\)[^)]*\)/, // V8: "at eval (eval at foo (app.js:1:2), <anonymous>:1:1)"
+        anonymousRegExp = /^(?:\{anonymous\}|<anonymous function.*>|<anonymous>|anonymous)?$/,
+        ownRange = null; // {file, start, end}: the frames of oopsie's own code; see findOwnRange()
+
+    function parseStackLine(line) {
+        var i,
+            len,
+            format,
+            m,
+            name;
+
+        line = line.replace(evalFrameRegExp, '($1)');
+
+        for (i = 0, len = stackFormats.length; i < len; i++) {
+            format = stackFormats[i];
+            m = line.match(format.re);
+            if (m) {
+                name = trim(m[format.fields[0]] || '')
+                    .replace(/\(.*\)$/, '')         // Opera includes the arguments
+                    .replace(/\s+\[as [^\]]+\]$/, ''); // V8: "Object.foo [as bar]"
+                return {
+                    functionName: anonymousRegExp.test(name) ? 'anonymous' : name,
+                    file: m[format.fields[1]],
+                    line: parseInt(m[format.fields[2]], 10),
+                    column: m[format.fields[3]] ? parseInt(m[format.fields[3]], 10) : undefined
+                };
+            }
+        }
+
+        return null;
+    }
+
+    function parseStack(stack) {
+        // stack may be a string (err.stack, err.stacktrace) or an array of lines (printStackTrace())
+        var lines = isArray(stack) ? stack : String(stack || '').split('\n'),
+            frames = [],
+            frame,
+            i,
+            len;
+
+        for (i = 0, len = lines.length; i < len; i++) {
+            frame = parseStackLine(lines[i]);
+            if (frame) {
+                frames.push(frame);
+            }
+        }
+
+        return frames;
+    }
+
+    function comparePositions(a, b) {
+        // -1, 0 or 1; columns are only compared when both are known
+        if (a.line !== b.line) {
+            return a.line < b.line ? -1 : 1;
+        }
+        if (a.column === undefined || b.column === undefined || a.column === b.column) {
+            return 0;
+        }
+        return a.column < b.column ? -1 : 1;
+    }
+
+    function isInternalFrame(frame) {
+        // oopsie's own frames are the ones between the start and the end of its code, so this still works
+        // when oopsie is bundled (or minified onto a single line) with the app's code
+        if (!ownRange || frame.file !== ownRange.file) {
+            return false; // nothing is filtered when oopsie doesn't know where it was loaded from
+        }
+        if (frame.column === undefined && ownRange.start.line === ownRange.end.line) {
+            return false; // a single line of minified code; can't tell oopsie's code from the app's
+        }
+        return comparePositions(frame, ownRange.start) >= 0 && comparePositions(frame, ownRange.end) <= 0;
+    }
+
+    function getFrames(err) {
+        // parses whatever stack information the browser provides for the error, minus oopsie's own frames
+        var frames = [];
+
+        if (err.stack) {
+            frames = parseStack(err.stack);
+        }
+        if (!frames.length && err.stacktrace) {
+            frames = parseStack(err.stacktrace);
+        }
+        if (!frames.length && canStackTrace) {
+            frames = parseStack(window.printStackTrace({e: err}));
+        }
+
+        return grep(frames, function (frame) {
+            return !isInternalFrame(frame);
+        });
+    }
+
+    function formatFrame(frame) {
+        var location = frame.file + ':' + frame.line + (frame.column !== undefined ? ':' + frame.column : '');
+        return frame.functionName + ' (' + location + ')';
+    }
+
+    function formatFrames(frames) {
+        // one frame per line, similar to a V8 stack trace
+        return map(frames || [], function (frame) {
+            return '    at ' + formatFrame(frame);
+        }).join('\n');
+    }
+
+    function getRawStack() {
+        // the stack of the caller, in whatever format the browser provides
+        try {
+            throw new Error();
+        } catch (e) {
+            return e.stack || e.stacktrace || '';
+        }
+    }
+
+    function findOwnRange(startStack, endStack) {
+        // the first frame of each stack is getRawStack() itself; the second is where it was called, at
+        // the start and the end of oopsie's code
+        var start = parseStack(startStack)[1],
+            end = parseStack(endStack)[1];
+
+        if (!start || !end || start.file !== end.file) {
+            return null;
+        }
+        return {
+            file: start.file,
+            start: start,
+            end: end
+        };
+    }
+
+    //}}} end of stack frame parsing
+
     //{{{ error lookup
 
     // TODO: consider using the generic Error object, but distinguish using a .type property
@@ -46,40 +532,132 @@ Dependencies:
     // include an .oopsie version property similar to jQuery; allows detection if the error
     // was an oopsie error
 
-    var errors = [], // a reference to each oopsie error is stored here
-        errorIdRegExp = /__oopsieID_(\d+)__/,
+    // every oopsie error gets an ID (err.oopsieId) and is kept in a bounded registry, so that it can
+    // be looked up later (ex: by window.onerror); the least recently used errors are dropped first
+    // the ID doubles as a "support reference code" (err.supportCode) that can be shown to the user
+
+    var registrySettings = {
+            maxErrors: 100 // max # of errors kept in the registry
+        },
+        registry = {},     // id -> {err: err, seq: registration order}
+        registryLRU = [],  // ids, least recently used first
+        registryCount = 0,
         errorFactories = {};
 
+    function randomString(len) {
+        var str = '';
+        while (str.length < len) {
+            str += Math.random().toString(36).substring(2);
+        }
+        return str.substring(0, len);
+    }
+
+    // identifies this page load; the timestamp and random part make collisions across sessions
+    // very unlikely, the counter makes IDs unique within the session
+    var sessionId = now().toString(36) + randomString(4);
+
+    function touchError(id) {
+        // marks the error as the most recently used
+        var pos = inArray(id, registryLRU);
+        if (pos !== -1) {
+            registryLRU.splice(pos, 1);
+        }
+        registryLRU.push(id);
+    }
+
+    function trimRegistry() {
+        while (registryLRU.length > Math.max(registrySettings.maxErrors, 0)) {
+            delete registry[registryLRU.shift()];
+        }
+    }
+
+    function formatSupportCode(id) {
+        // easier to read out over the phone than the raw ID
+        return 'OOPS-' + id.toUpperCase();
+    }
+
     function registerError(err) {
         // adds the error to the error lookup, so that it can be retrieved later
-        var pos = errors.length;
-        err.message = ('__oopsieID_' + pos + '__') + err.message;
-        errors[pos] = err;
-        return pos;
+        registryCount += 1;
+
+        var id = sessionId + '-' + registryCount.toString(36);
+
+        err.oopsieId = id;
+        err.supportCode = formatSupportCode(id);
+
+        registry[id] = {
+            err: err,
+            seq: registryCount
+        };
+        touchError(id);
+        trimRegistry();
+
+        return id;
     }
 
-    function retrieveError(msg) {
-        // searches an error message for an oopsie error ID
-        // returns the oopsie error object,
-        // if one was found, otherwise returns null
-        var m = msg.match(errorIdRegExp),
-            pos;
-        if (m) {
-            pos = parseInt(m[1], 10);
-            if (errors.length <= pos) {
-                return errors[pos]; // lookup the oopsie error object
-            };
+    function getError(id) {
+        // returns the registered error with the ID, or null
+        if (!hasOwn(registry, id)) {
+            return null;
         }
-        return null;
+        touchError(id);
+        return registry[id].err;
     }
 
-    function filterOutOopsieId(msg) {
-        var m = msg.match(errorIdRegExp);
-        if (m) {
-            return msg.replace(m[0], ''); // remove the oopsie ID
-        } else {
-            return msg;
+    function getRegisteredEntries() {
+        // newest first
+        return map(registry, function (entry) {
+            return entry;
+        }).sort(function (a, b) {
+            return b.seq - a.seq;
+        });
+    }
+
+    function getRecentErrors(n) {
+        // the n (default: all) most recently created errors, newest first
+        var entries = getRegisteredEntries();
+        return map(n === undefined ? entries : entries.slice(0, n), function (entry) {
+            return entry.err;
+        });
+    }
+
+    function getErrorsByType(type) {
+        // registered errors of the type, including its subtypes, newest first
+        return grep(getRecentErrors(), function (err) {
+            return is(err, type);
+        });
+    }
+
+    function clearRegistry() {
+        registry = {};
+        registryLRU = [];
+    }
+
+    function configureRegistry(settings) {
+        extend(registrySettings, settings || {});
+        trimRegistry();
+        return registrySettings;
+    }
+
+    function retrieveError(msg) {
+        // finds the most recent oopsie error that the message (ex: from window.onerror) is about
+        // browsers prefix the message; ex: "Uncaught Error: <message>"
+        // returns the oopsie error object, if one was found, otherwise returns null
+        var errs = getRecentErrors(),
+            i,
+            err,
+            pos;
+
+        msg = String(msg);
+
+        for (i = 0; i < errs.length; i++) {
+            err = errs[i];
+            pos = msg.lastIndexOf(err.message);
+            if (err.message && pos !== -1 && pos + err.message.length === msg.length) {
+                return err;
+            }
         }
+        return null;
     }
 
     //}}} end of error lookup
@@ -96,31 +674,92 @@ Dependencies:
         }
     }
 
+    var defaultFactoryOptions = {
+        reportImmediately: false,
+        severity: 'error'
+    };
+
+    function getTypeChain(type) {
+        // the type followed by its ancestors; ex: ['validationError', 'userError']
+        var chain = [];
+        while (type && hasOwn(errorFactories, type) && inArray(type, chain) === -1) {
+            chain.push(type);
+            type = errorFactories[type].parent;
+        }
+        if (!chain.length && type) {
+            chain.push(type); // not an oopsie type, but it can still be matched by name
+        }
+        return chain;
+    }
+
+    function getFactoryOptions(type) {
+        // options are inherited from the parent type; each subtype can override them
+        var options = extend({}, defaultFactoryOptions);
+        each(getTypeChain(type).reverse(), function (i, t) {
+            if (hasOwn(errorFactories, t)) {
+                extend(options, errorFactories[t].options);
+            }
+        });
+        return options;
+    }
+
+    function is(err, type) {
+        // true if the error is of the type, or one of its subtypes
+        return !!err && inArray(type, getTypeChain(err.type)) !== -1;
+    }
+
     function errorFactory(type, options) {
-        assert(!hasOwn(errorFactories, type), 'error factory already exists', type, options);
+        // options:
+        //   parent            - the type this type is a subtype of; it must already exist
+        //   reportImmediately - report every error of this type as soon as it is made
+        //   severity          - 'fatal', 'error' (default), 'warning' or 'info'; see severity levels
+        // options that aren't set are inherited from the parent type; per-call opts override both
+        // per-call opts can also include:
+        //   cause             - the error (or thrown value) that led to this one; see wrap()
+        // ex: errorFactory('validationError', {parent: 'userError'})
+        invariant(!hasOwn(errorFactories, type), 'error factory already exists', type, options);
 
-        var factoryOptions = $.extend({
-            reportImmediately: false
-        }, options || {});
+        var factoryOptions = extend({}, options || {}),
+            parent = factoryOptions.parent;
+
+        delete factoryOptions.parent;
+
+        if (parent !== undefined) {
+            invariant(hasOwn(errorFactories, parent), 'unknown parent error type', type, parent);
+        }
+        if (factoryOptions.severity !== undefined) {
+            invariant(isSeverity(factoryOptions.severity), 'unknown severity', type, factoryOptions.severity);
+        }
 
         var factory = function (msg, opts) {
-            var _opts = $.extend(factoryOptions, opts || {});
+            var _opts = extend({}, getFactoryOptions(type), opts || {});
 
             var err = new Error(msg);
             err.type = type;
+            err.severity = isSeverity(_opts.severity) ? _opts.severity : defaultFactoryOptions.severity;
             err.oopsie = VERSION;
+            if (_opts.cause !== undefined) {
+                err.cause = _opts.cause;
+            }
 
             if (canStackTrace) {
                 err.stackTrace = getStackTrace();
             }
+            err.frames = getFrames(err);
+
+            registerError(err);
 
             if (_opts.reportImmediately) {
-                // TODO: report
+                captureError(err); // the error is still returned (and can be thrown) as usual
             }
 
-            registerError(err);
+            return err;
         };
 
+        factory.type = type;
+        factory.parent = parent;
+        factory.options = factoryOptions;
+
         errorFactories[type] = factory;
 
         return factory;
@@ -155,33 +794,288 @@ Dependencies:
 
     //}}} end of exception creation
 
-    //{{{ stringify methods
+    //{{{ cause chains
 
-    function getFunctionName(fn) {
-        // uses the 'name' property, which is a non-standard property only supported by
-        // a limited set of browsers (Mozilla, Webkit-browsers, etc.)
-        // IE doesn't support this property
+    // an error can have a cause (err.cause, like native ES2022 errors), which can have a cause, etc.;
+    // every error in the chain keeps its own stack and audit information
+    // ex: try {
+    //         JSON.parse(text);
+    //     } catch (e) {
+    //         throw oopsie.exception.wrap(e, 'configError', 'settings are corrupt');
+    //     }
 
-        var name = '';
-        if (hasOwn(fn, 'name')) {
-            name = fn.name;
-            if (name === '') {
-                name = 'anonymous';
-            }
+    var maxCauseDepth = 10;
+
+    function wrap(err, type, msg, opts) {
+        // returns a new error of the type (oopsieError by default) with err as its cause
+        // the message defaults to the cause's message
+        if (msg === undefined) {
+            msg = err && err.message !== undefined ? String(err.message) : stringify(err);
         }
-        return name;
+        return makeError(type || 'oopsieError', msg, extend({}, opts || {}, {cause: err}));
     }
 
-    var jQueryToString = function () {
-        var getXML = (function () {
-            try {
-                // Gecko - and Webkit-based browsers (Firefox, Chrome), Opera
-                var serializer = new XMLSerializer();
-                return function (xml) {
-                    return serializer.serializeToString(xml);
-                };
-            } catch (e) {
-                // IE supported method
+    function getCauseChain(err) {
+        // [err, err.cause, err.cause.cause, ...]; stops at cycles and after maxCauseDepth errors
+        var chain = [];
+
+        while (err !== undefined && err !== null && inArray(err, chain) === -1 && chain.length < maxCauseDepth) {
+            chain.push(err);
+            err = typeof(err) === 'object' || isFunction(err) ? err.cause : undefined;
+        }
+
+        return chain;
+    }
+
+    function describeCause(cause) {
+        // {type, message, frames[, supportCode, auditTrail]} for an error or thrown value
+        var isObject = !!cause && typeof(cause) === 'object',
+            described;
+
+        if (!isObject) {
+            return {
+                type: typeof(cause),
+                message: typeof(cause) === 'string' ? cause : stringify(cause),
+                frames: []
+            };
+        }
+
+        described = {
+            type: cause.type || cause.name || getClass(cause),
+            message: cause.message !== undefined ? String(cause.message) : stringify(cause),
+            frames: cause.frames || (cause.stack || cause.stacktrace ? getFrames(cause) : [])
+        };
+        if (cause.supportCode) {
+            described.supportCode = cause.supportCode;
+        }
+        if (cause.auditTrail) {
+            described.auditTrail = cause.auditTrail;
+        }
+
+        return described;
+    }
+
+    function serializeCause(err) {
+        // err's cause chain for reports, nested like the errors: {type, message, frames, ..., cause: {...}}
+        var chain = getCauseChain(err).slice(1),
+            serialized,
+            result,
+            i;
+
+        for (i = chain.length - 1; i >= 0; i--) {
+            serialized = describeCause(chain[i]);
+            if (result) {
+                serialized.cause = result;
+            }
+            result = serialized;
+        }
+
+        return result;
+    }
+
+    function formatCauseChain(err) {
+        // the whole chain as text, ex:
+        //   configError: settings are corrupt
+        //       at loadSettings (app.js:10:3)
+        //       audited Settings.load; arguments: ["user"]; this: [object Object]
+        //   Caused by: SyntaxError: Unexpected token } in JSON
+        //       at parse (native)
+        return map(getCauseChain(err), function (cause, i) {
+            var described = describeCause(cause),
+                lines = [(i ? 'Caused by: ' : '') + described.type + ': ' + described.message];
+
+            each(described.frames, function (j, frame) {
+                lines.push('    at ' + formatFrame(frame));
+            });
+            each(described.auditTrail || [], function (j, layer) {
+                lines.push('    audited ' + layer.name + '; arguments: ' + layer.args + '; this: ' + layer.context);
+            });
+
+            return lines.join('\n');
+        }).join('\n');
+    }
+
+    //}}} end of cause chains
+
+    //{{{ redaction
+
+    // keeps sensitive data out of error messages and reports
+    // applied by stringify (and so by audit, assert, breadcrumbs, etc.) and to every report
+    // envelope before it reaches the reporter
+    //   keys       - values of object keys (and URL query params) matching any of these are replaced
+    //   patterns   - name -> [RegExp (global), replacement string or function]; applied to every string
+    //   scrubber   - function (key, value) returning the value to use; runs after the built-in redaction
+    // ex: oopsie.redaction.configure({patterns: {phone: [/\d{3}-\d{3}-\d{4}/g, '[redacted phone]']}})
+
+    var redactionSettings = {
+        enabled: true,
+        replacement: '[redacted]',
+        keys: [/pass|secret|token|api[_\-]?key|credential/i],
+        patterns: {
+            email: [/[a-z0-9._%+\-]+@[a-z0-9.\-]+\.[a-z]{2,}/gi, '[redacted email]'],
+            card: [/\b(?:\d[ \-]?){12,18}\d\b/g, function (match) {
+                // only numbers that pass the Luhn check; avoids redacting timestamps, IDs, etc.
+                return isCardNumber(match.replace(/\D/g, '')) ? '[redacted card]' : match;
+            }],
+            bearer: [/\bbearer\s+[a-z0-9\-._~+\/]+=*/gi, 'Bearer [redacted]']
+        },
+        scrubber: null
+    };
+
+    function isCardNumber(digits) {
+        // Luhn check
+        var sum = 0,
+            double = false,
+            i,
+            d;
+
+        if (digits.length < 13 || digits.length > 19) {
+            return false;
+        }
+
+        for (i = digits.length - 1; i >= 0; i--) {
+            d = parseInt(digits.charAt(i), 10);
+            if (double) {
+                d *= 2;
+                if (d > 9) {
+                    d -= 9;
+                }
+            }
+            sum += d;
+            double = !double;
+        }
+
+        return sum % 10 === 0;
+    }
+
+    function configureRedaction(settings) {
+        // patterns are merged by name; set a pattern to null to remove it
+        settings = extend({}, settings || {});
+        if (settings.patterns) {
+            each(settings.patterns, function (name, pattern) {
+                if (pattern) {
+                    redactionSettings.patterns[name] = pattern;
+                } else {
+                    delete redactionSettings.patterns[name];
+                }
+            });
+            delete settings.patterns;
+        }
+        extend(redactionSettings, settings);
+        return redactionSettings;
+    }
+
+    function isSensitiveKey(key) {
+        var keys = redactionSettings.keys,
+            i;
+
+        if (typeof(key) !== 'string' || key === '' || /^\d+$/.test(key)) {
+            return false; // root values and array indexes
+        }
+
+        for (i = 0; i < keys.length; i++) {
+            if (keys[i] instanceof RegExp ? testRegExp(keys[i], key) : keys[i] === key) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function redactString(str) {
+        // applies the patterns and redacts sensitive URL params
+        if (!redactionSettings.enabled) {
+            return str;
+        }
+
+        each(redactionSettings.patterns, function (name, pattern) {
+            pattern[0].lastIndex = 0;
+            str = str.replace(pattern[0], pattern[1]);
+        });
+
+        // params can also be in the fragment; ex: OAuth's #access_token=...
+        return str.replace(/([?&;#])([^=&#\s]+)=([^&#\s]*)/g, function (match, sep, param) {
+            var name;
+            try {
+                name = decodeURIComponent(param);
+            } catch (e) {
+                name = param;
+            }
+            return isSensitiveKey(name) ? sep + param + '=' + encodeURIComponent(redactionSettings.replacement) : match;
+        });
+    }
+
+    function redactValue(key, value) {
+        if (!redactionSettings.enabled) {
+            return value;
+        }
+
+        if (isSensitiveKey(key)) {
+            value = redactionSettings.replacement;
+        } else if (typeof(value) === 'string') {
+            value = redactString(value);
+        }
+
+        if (isFunction(redactionSettings.scrubber)) {
+            value = redactionSettings.scrubber(key, value);
+        }
+
+        return value;
+    }
+
+    function redact(o, key) {
+        // returns a redacted copy of plain data (ex: a report envelope)
+        var copy;
+
+        o = redactValue(key === undefined ? '' : key, o);
+
+        if (isArray(o)) {
+            copy = [];
+            each(o, function (i, v) {
+                copy.push(redact(v, String(i)));
+            });
+            return copy;
+        }
+
+        if (isPlainObject(o)) {
+            copy = {};
+            each(o, function (k, v) {
+                copy[k] = redact(v, k);
+            });
+            return copy;
+        }
+
+        return o;
+    }
+
+    //}}} end of redaction
+
+    //{{{ stringify methods
+
+    function getFunctionName(fn) {
+        // uses the 'name' property, which is a non-standard property only supported by
+        // a limited set of browsers (Mozilla, Webkit-browsers, etc.)
+        // IE doesn't support this property
+
+        var name = '';
+        if (hasOwn(fn, 'name')) {
+            name = fn.name;
+            if (name === '') {
+                name = 'anonymous';
+            }
+        }
+        return name;
+    }
+
+    var jQueryToString = function () {
+        var getXML = (function () {
+            try {
+                // Gecko - and Webkit-based browsers (Firefox, Chrome), Opera
+                var serializer = new XMLSerializer();
+                return function (xml) {
+                    return serializer.serializeToString(xml);
+                };
+            } catch (e) {
+                // IE supported method
                 return function (xml) {
                     return xml.xml;
                 };
@@ -189,19 +1083,24 @@ Dependencies:
         })();
 
         function outerHTML($o) {
-            return $('<p>').append($o.clone()).html();
-        };
+            return map($o, function (n) {
+                if (typeof(n.outerHTML) !== 'string') {
+                    throw new Error('no outerHTML');
+                }
+                return n.outerHTML;
+            }).join('');
+        }
 
         return function ($o) {
             try {
-                // HTML DOM parser content can use .innerHTML ($.fn.html); try
-                // that first, since it provides cleaner strings
+                // HTML DOM parser content has .outerHTML; try that first, since it
+                // provides cleaner strings
                 return outerHTML($o);
             } catch (e) {
-                // XML DOM parser content does not have an .innerHTML property, so
-                // can't use .html(); strings aren't as nice, since they can include
+                // XML DOM parser content does not have an .outerHTML property in
+                // older browsers; strings aren't as nice, since they can include
                 // xmlns attributes
-                return $.map($o, function (n) {
+                return map($o, function (n) {
                     return getXML(n);
                 }).join('\n');
             }
@@ -225,35 +1124,168 @@ Dependencies:
         return obj && obj.jquery;
     }
 
+    function getClass(value) {
+        // ex: '[object Date]' -> 'Date'; works across frames, unlike instanceof
+        return Object.prototype.toString.call(value).slice(8, -1);
+    }
+
+    var stringifySettings = {
+        maxDepth: 8,           // objects/arrays nested deeper than this are replaced with a marker
+        maxStringLength: 2000, // longer strings are truncated
+        maxEntries: 100        // max # of array items/object keys; the rest are replaced with a "…N more" marker
+    };
+
+    function configureStringify(settings) {
+        extend(stringifySettings, settings || {});
+        return stringifySettings;
+    }
+
+    function truncateString(str, max) {
+        if (max > 0 && str.length > max) {
+            return str.substring(0, max) + '…(' + (str.length - max) + ' more characters)';
+        }
+        return str;
+    }
+
+    function childPath(path, key, isIndex) {
+        // JSON path of a child; ex: $.items[2].name, $["odd key"]
+        if (isIndex) {
+            return path + '[' + key + ']';
+        }
+        return /^[a-z_$][\w$]*$/i.test(key) ? path + '.' + key : path + '[' + JSON.stringify(key) + ']';
+    }
+
+    var TAG = '$oopsie', // key of tagged objects; see toSafeData() and parse()
+        TOTAL = '$oopsieTotal'; // see firstEntries()
+
+    function tag(name, value) {
+        var o = {};
+        o[TAG] = name;
+        o.value = value;
+        return o;
+    }
+
     // extendable version
-    function circularRefSafeTranslate() {
-        var seen = [];
+    function toSafeData(o, options) {
+        // converts any value into data that JSON.stringify can handle:
+        //   - sensitive data is redacted
+        //   - the translators convert values that JSON can't represent (functions, NaN, DOM nodes, etc.)
+        //   - repeated references are replaced with the path of the first occurrence: [ref: path] for an
+        //     object that is shared, [circular: path] for an object that contains itself
+        //   - depth, string length and # of entries are limited
+        // with options.tagged, anything that isn't plain JSON data is encoded as a tagged object
+        // ({"$oopsie": tag, ...}) instead of a look-alike string, so that parse() can reverse it
+        var opts = extend({redact: true}, stringifySettings, options || {}),
+            seen = [],      // objects already serialized
+            seenPaths = [], // ...and where
+            ancestors = []; // objects that are being serialized
 
-        return function (key, value) {
+        function walkChildren(value, path, depth) {
+            // value has already been translated; only its children still need to be walked
+            var result,
+                keys,
+                len,
+                total,
+                i;
+
+            if (typeof(value) === 'string') {
+                return truncateString(value, opts.maxStringLength);
+            }
+            if (value === null || typeof(value) !== 'object') {
+                return value;
+            }
+            if (isFunction(value.toJSON)) {
+                value = value.toJSON();
+                if (value === null || typeof(value) !== 'object') {
+                    return walkChildren(value, path, depth);
+                }
+            }
+
+            if (depth >= opts.maxDepth) {
+                if (opts.tagged) {
+                    return tag('maxDepth', isArray(value) ? 'Array' : 'Object');
+                }
+                return isArray(value) ? '[Array(' + value.length + '): max depth]' : '[Object: max depth]';
+            }
+
+            if (isArray(value)) {
+                result = [];
+                len = Math.min(value.length, opts.maxEntries);
+                total = hasOwn(value, TOTAL) ? value[TOTAL] : value.length;
+                for (i = 0; i < len; i++) {
+                    result.push(walk(String(i), value[i], childPath(path, i, true), depth + 1));
+                }
+                if (total > len) {
+                    result.push(opts.tagged ? tag('more', total - len) : '…' + (total - len) + ' more');
+                }
+                return result;
+            }
+
+            result = {};
+            keys = [];
+            for (i in value) {
+                if (hasOwn(value, i)) {
+                    keys.push(i);
+                }
+            }
+            len = Math.min(keys.length, opts.maxEntries);
+            for (i = 0; i < len; i++) {
+                result[keys[i]] = walk(keys[i], value[keys[i]], childPath(path, keys[i]), depth + 1);
+            }
+            if (keys.length > len) {
+                result['…'] = opts.tagged ? tag('more', keys.length - len) : (keys.length - len) + ' more';
+            }
+            if (opts.tagged && hasOwn(value, TAG)) {
+                return tag('object', result); // escaped, so it isn't mistaken for a tag
+            }
+            return result;
+        }
+
+        function walk(key, value, path, depth) {
+            var isObject = false,
+                translated;
             try {
-                if (typeof(value) === 'object') {
-                    var seenAt = $.inArray(value, seen);
+                if (opts.redact) {
+                    value = redactValue(key, value);
+                }
+                if (value !== null && typeof(value) === 'object') {
+                    var seenAt = inArray(value, seen);
                     if (seenAt === -1) {
                         seen.push(value);
+                        seenPaths.push(path);
+                    } else if (opts.tagged) {
+                        return tag('ref', seenPaths[seenAt]);
+                    } else if (inArray(value, ancestors) !== -1) {
+                        return '[circular: ' + seenPaths[seenAt] + ']';
                     } else {
-                        return 'JSON.circularRef_' + seenAt;
+                        return '[ref: ' + seenPaths[seenAt] + ']';
                     }
+                    isObject = true;
+                    ancestors.push(value);
                 }
                 for (var k in translators) {
                     // we can by-pass using the .hasOwnProperty() check, since
                     // we control the object and know that it is a plain object
                     var translator = translators[k];
                     if (translator[0](value)) {
-                        return translator[1](value);
+                        translated = walkChildren(translator[1](value, opts.maxEntries), path, depth);
+                        return opts.tagged ? tag(k, translated) : translated;
                     }
                 }
-                return value;
+                return walkChildren(value, path, depth);
             } catch (err) {
                 // this is intended to be used during error reporting, so it
                 // doesn't make a lot of sense to have it raise an error
                 // during a failure
-                return '[translation error]: ' + err.message;
-        };
+                return opts.tagged ? tag('error', err.message) : '[translation error]: ' + err.message;
+            } finally {
+                if (isObject) {
+                    ancestors.pop();
+                }
+            }
+        }
+
+        return walk('', o, '$', 0);
     }
 
     /*function circularRefSafeTranslate() {
@@ -264,13 +1296,13 @@ Dependencies:
                 if (value === undefined) {
                     return 'undefined';
                 }
-                if ($.isFunction(value)) {
+                if (isFunction(value)) {
                     return '[function: ' + getFunctionName(value) + ']';
                 }
                 if (typeof(value) === 'object') {
                     // prevent circular references by replacing circular reference
                     // instances with a placeholder tag
-                    var seenAt = $.inArray(value, seen);
+                    var seenAt = inArray(value, seen);
                     if (seenAt === -1) {
                         seen.push(value);
                         if (isJQuery(value)) {
@@ -300,13 +1332,44 @@ Dependencies:
 
     // TODO: see if performance is improved by converting the translator to an Array
     function addTranslator(name, evaluator, translator) {
-        assert(name && $.isFunction(evaluator) && $.isFunction(translator), '[oopsie.addTranslator] requires a name, an evaluator function and a translator function');
+        // translator(value, maxEntries); translators of large collections should only convert the first
+        // maxEntries entries (see firstEntries())
+        invariant(name && isFunction(evaluator) && isFunction(translator), '[oopsie.addTranslator] requires a name, an evaluator function and a translator function');
         translators[name] = [evaluator, translator];
     }
 
+    function firstEntries(total, maxEntries, forEach) {
+        // the first maxEntries entries of a collection with total entries, so that a huge collection
+        // isn't copied just to be cut down; forEach(add) has to call add(entry) for each entry, in order
+        // the total is kept on the result, for the "…N more" marker
+        var entries = [];
+
+        forEach(function (entry) {
+            if (entries.length < maxEntries) {
+                entries.push(entry);
+            }
+        });
+        entries[TOTAL] = total;
+
+        return entries;
+    }
+
+    function firstItems(list, maxEntries) {
+        // firstEntries() for array-likes
+        var entries = [],
+            len = Math.min(list.length, maxEntries);
+
+        for (var i = 0; i < len; i++) {
+            entries.push(list[i]);
+        }
+        entries[TOTAL] = list.length;
+
+        return entries;
+    }
+
     // pre-populate with some default translators
     addTranslator('undefined', function (value) { return value === undefined; }, function () { return 'undefined'; });
-    addTranslator('function', function (value) { return $.isFunction(value); }, function (value) {
+    addTranslator('function', function (value) { return isFunction(value); }, function (value) {
         var fnName = getFunctionName(value);
         if (fnName) {
             return '[function: ' + fnName + ']';
@@ -314,384 +1377,3916 @@ Dependencies:
             return '[function]';
         }
     });
-    addTranslator('RegExp', function (value) { return value instanceof RegExp; }, function (value) { return value.toString(); });
+    addTranslator('RegExp', function (value) { return getClass(value) === 'RegExp'; }, function (value) { return value.toString(); });
     addTranslator('NaN', function (value) { return isReallyNaN(value); }, function () { return 'NaN'; });
     addTranslator('infinite', function (value) { return isInfinite(value); }, function (value) { return value.toString(); });
     addTranslator('jQuery', function (value) { return isJQuery(value); }, function (value) { return '[jQuery: ' + jQueryToString(value) + ']'; });
+    addTranslator('Date', function (value) { return getClass(value) === 'Date'; }, function (value) {
+        if (isNaN(value.getTime())) {
+            return 'Invalid Date';
+        }
+        return isFunction(value.toISOString) ? value.toISOString() : value.toUTCString();
+    });
+    addTranslator('Error', function (value) { return value instanceof Error || getClass(value) === 'Error'; }, function (value) {
+        var o = {
+            name: value.name,
+            message: value.message
+        };
+        if (value.stack) {
+            o.stack = value.stack;
+        }
+        if (isOopsieError(value)) {
+            o.type = value.type;
+            o.id = value.oopsieId;
+        }
+        return o;
+    });
+    addTranslator('window', function (value) { return !!value && value.window === value; }, function () { return '[window]'; });
+    addTranslator('DOM', function (value) {
+        return !!value && typeof(value) === 'object' && typeof(value.nodeType) === 'number' && typeof(value.nodeName) === 'string';
+    }, function (value) {
+        switch (value.nodeType) {
+        case 1:
+            return '[DOM: ' + describeElement(value) + ']';
+        case 3:
+            return '[#text: ' + truncateString(value.nodeValue, 50) + ']';
+        default:
+            return '[' + value.nodeName + ']'; // ex: [#document]
+        }
+    });
+    addTranslator('event', function (value) {
+        // DOM events and jQuery.Event
+        return !!value && typeof(value) === 'object' && typeof(value.type) === 'string' && 'target' in value &&
+            isFunction(value.preventDefault);
+    }, function (value) {
+        var target = value.target && value.target.nodeType === 1 ? ' ' + describeElement(value.target) : '';
+        return '[event: ' + value.type + target + ']';
+    });
+    addTranslator('Map', function (value) { return getClass(value) === 'Map'; }, function (value, maxEntries) {
+        // [[key, value], ...]
+        return firstEntries(value.size, maxEntries, function (add) {
+            value.forEach(function (v, k) {
+                add([k, v]);
+            });
+        });
+    });
+    addTranslator('Set', function (value) { return getClass(value) === 'Set'; }, function (value, maxEntries) {
+        return firstEntries(value.size, maxEntries, function (add) {
+            value.forEach(function (v) {
+                add(v);
+            });
+        });
+    });
+    addTranslator('typedArray', function (value) {
+        return /^(?:Int8|Uint8|Uint8Clamped|Int16|Uint16|Int32|Uint32|Float32|Float64|BigInt64|BigUint64)Array$/.test(getClass(value));
+    }, function (value, maxEntries) {
+        var entries = firstItems(value, maxEntries);
+        for (var i = 0; i < entries.length; i++) {
+            entries[i] = typeof(entries[i]) === 'number' ? entries[i] : String(entries[i]); // BigInts can't be serialized
+        }
+        return entries;
+    });
+    addTranslator('ArrayBuffer', function (value) { return getClass(value) === 'ArrayBuffer'; }, function (value) {
+        return '[ArrayBuffer(' + value.byteLength + ')]';
+    });
+    addTranslator('arguments', function (value) { return getClass(value) === 'Arguments'; }, function (value, maxEntries) {
+        return firstItems(value, maxEntries);
+    });
+
+    function stringify(o, options) {
+        // options can override the stringify settings for this call; ex: {maxDepth: 2}
+        // {tagged: true} produces output that parse() can turn back into structured data
+        try {
+            return JSON.stringify(toSafeData(o, options));
+        } catch (err) {
+            return 'stringify error: ' + err.message;
+        }
+    }
+
+    //}}} end of stringify methods
+
+    //{{{ parsing tagged stringify output
+
+    // parse(stringify(o, {tagged: true})) rebuilds o as closely as JSON allows:
+    //   - circular/repeated references point to the same object again
+    //   - undefined, NaN, Infinity, RegExp, Date, Error, Map, Set and arguments (as an array) are restored
+    //   - everything else that was translated (functions, DOM nodes, jQuery objects, etc.) and the
+    //     truncation markers are left as their tagged objects; ex: {"$oopsie": "function", "value": "[function: foo]"}
+    // intended for the collector side, so it doesn't depend on jQuery or the DOM
+
+    function RefPlaceholder(path) {
+        this.path = path;
+    }
+
+    function parse(text) {
+        var registry = {},  // path -> decoded object, for resolving references
+            fixups = [],    // {container, key, path} of references to resolve
+            collections = [], // Maps/Sets to fill once the references are resolved
+            result;
+
+        function register(path, value) {
+            registry[path] = value;
+            return value;
+        }
+
+        function decodeInto(container, key, node, path) {
+            var value = decode(node, path);
+            if (value instanceof RefPlaceholder) {
+                fixups.push({container: container, key: key, path: value.path});
+                value = undefined;
+            }
+            container[key] = value;
+        }
+
+        function decodeChildren(node, path, target) {
+            var i,
+                k;
+            if (Object.prototype.toString.call(node) === '[object Array]') {
+                for (i = 0; i < node.length; i++) {
+                    decodeInto(target, i, node[i], childPath(path, i, true));
+                }
+            } else if (node !== null && typeof(node) === 'object') {
+                for (k in node) {
+                    if (hasOwn(node, k)) {
+                        decodeInto(target, k, node[k], childPath(path, k));
+                    }
+                }
+            }
+            return target;
+        }
+
+        function decode(node, path) {
+            var value,
+                m,
+                err,
+                k;
+
+            if (node === null || typeof(node) !== 'object') {
+                return node;
+            }
+            if (Object.prototype.toString.call(node) === '[object Array]') {
+                return decodeChildren(node, path, register(path, []));
+            }
+            if (!hasOwn(node, TAG)) {
+                return decodeChildren(node, path, register(path, {}));
+            }
+
+            value = node.value;
+
+            switch (node[TAG]) {
+            case 'ref':
+                return new RefPlaceholder(value);
+            case 'object':
+                return decodeChildren(value, path, register(path, {}));
+            case 'undefined':
+                return undefined;
+            case 'NaN':
+                return NaN;
+            case 'infinite':
+                return String(value).charAt(0) === '-' ? -Infinity : Infinity;
+            case 'RegExp':
+                m = /^\/([\s\S]*)\/([a-z]*)$/.exec(value);
+                return register(path, m ? new RegExp(m[1], m[2]) : value);
+            case 'Date':
+                return register(path, new Date(value === 'Invalid Date' ? NaN : value));
+            case 'Error':
+                err = register(path, new Error(value.message));
+                for (k in value) {
+                    if (hasOwn(value, k) && k !== 'message') {
+                        decodeInto(err, k, value[k], childPath(path, k));
+                    }
+                }
+                return err;
+            case 'arguments':
+                return decodeChildren(value, path, register(path, []));
+            case 'Map':
+            case 'Set':
+                if (typeof(Map) === 'undefined' || typeof(Set) === 'undefined') {
+                    return decodeChildren(value, path, register(path, [])); // left as the entries array
+                }
+                m = register(path, node[TAG] === 'Map' ? new Map() : new Set());
+                collections.push({
+                    target: m,
+                    entries: decodeChildren(value, path, [])
+                });
+                return m;
+            default:
+                // left tagged; ex: functions, DOM nodes, "more" markers, custom translators
+                m = register(path, {});
+                m[TAG] = node[TAG];
+                decodeInto(m, 'value', value, path);
+                return m;
+            }
+        }
+
+        result = decode(JSON.parse(text), '$');
+
+        for (var i = 0; i < fixups.length; i++) {
+            fixups[i].container[fixups[i].key] = hasOwn(registry, fixups[i].path) ? registry[fixups[i].path] : undefined;
+        }
+
+        for (i = 0; i < collections.length; i++) {
+            for (var j = 0; j < collections[i].entries.length; j++) {
+                if (collections[i].target.set) {
+                    collections[i].target.set(collections[i].entries[j][0], collections[i].entries[j][1]);
+                } else {
+                    collections[i].target.add(collections[i].entries[j]);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    //}}} end of parsing tagged stringify output
+
+    //{{{ report formatters
+
+    // convert a report (or any data) to a string for a particular consumer
+    // built-in formatters: 'json', 'xml' and 'text' (human readable)
+    // ex: oopsie.tostring.format(envelope, 'xml')
+    //
+    // custom formatters:
+    //   oopsie.tostring.addFormatter('csv', function (report) { ... }, {
+    //       contentType: 'text/csv',
+    //       formatBatch: function (reports) { ... } // optional; by default the formatted reports are joined with newlines
+    //   });
+
+    var formatters = {};
+
+    function addFormatter(name, format, options) {
+        invariant(name && isFunction(format), '[oopsie.tostring.addFormatter] requires a name and a format function');
+        var opts = extend({
+            contentType: 'text/plain',
+            formatBatch: null
+        }, options || {});
+
+        formatters[name] = {
+            format: format,
+            formatBatch: opts.formatBatch,
+            contentType: opts.contentType
+        };
+    }
+
+    function getFormatter(name) {
+        invariant(hasOwn(formatters, name), '[oopsie.tostring] unknown formatter', name);
+        return formatters[name];
+    }
+
+    function format(data, name) {
+        return getFormatter(name || 'json').format(data);
+    }
+
+    function formatBatch(reports, name) {
+        var formatter = getFormatter(name || 'json');
+        if (isFunction(formatter.formatBatch)) {
+            return formatter.formatBatch(reports);
+        }
+        return map(reports, function (report) {
+            return formatter.format(report);
+        }).join('\n');
+    }
+
+    // json
+
+    addFormatter('json', stringify, {
+        contentType: 'application/json',
+        formatBatch: function (reports) {
+            return stringify({reports: reports});
+        }
+    });
+
+    // xml
+
+    var xmlNameRegExp = /^(?!xml)[a-z_][\w.\-]*$/i;
+
+    function escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;')
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, ''); // not allowed in XML 1.0, even escaped
+    }
+
+    function toXML(name, value, indent) {
+        // element names come from object keys, which can be anything; keys that aren't valid
+        // element names become <entry key="...">
+        var open = xmlNameRegExp.test(name) ? name : 'entry key="' + escapeXML(name) + '"',
+            close = xmlNameRegExp.test(name) ? name : 'entry',
+            children = [];
+
+        if (value === null || value === undefined) {
+            return indent + '<' + open + ' null="true"/>';
+        }
+
+        if (isArray(value)) {
+            each(value, function (i, item) {
+                children.push(toXML('item', item, indent + '  '));
+            });
+        } else if (typeof(value) === 'object') {
+            each(value, function (k, v) {
+                children.push(toXML(k, v, indent + '  '));
+            });
+        } else {
+            return indent + '<' + open + '>' + escapeXML(value) + '</' + close + '>';
+        }
+
+        if (!children.length) {
+            return indent + '<' + open + '/>';
+        }
+        return indent + '<' + open + '>\n' + children.join('\n') + '\n' + indent + '</' + close + '>';
+    }
+
+    var xmlDeclaration = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+    addFormatter('xml', function (report) {
+        return xmlDeclaration + toXML('report', toPlainData(report), '');
+    }, {
+        contentType: 'application/xml',
+        formatBatch: function (reports) {
+            return xmlDeclaration + '<reports>\n' + map(reports, function (report) {
+                return toXML('report', toPlainData(report), '  ');
+            }).join('\n') + '\n</reports>';
+        }
+    });
+
+    // text
+
+    function indentText(text, indent) {
+        return indent + String(text).split('\n').join('\n' + indent);
+    }
+
+    function formatTimestamp(ms) {
+        var d = new Date(ms);
+        return isNaN(d.getTime()) ? String(ms) : d.toUTCString();
+    }
+
+    function textSection(title, lines) {
+        return lines.length ? [title + ':'].concat(map(lines, function (line) {
+            return indentText(line, '    ');
+        })) : [];
+    }
+
+    function formatText(report) {
+        // laid out for reading; anything that isn't a report envelope is pretty-printed JSON
+        if (!report || !report.error) {
+            return JSON.stringify(toPlainData(report), null, 2) || String(report);
+        }
+
+        var error = report.error,
+            lines = [];
+
+        lines.push('[' + error.type + '] ' + error.message);
+        lines.push('Severity: ' + error.severity);
+        lines.push('Support code: ' + error.supportCode);
+        if (error.suppressedCount) {
+            lines.push('Suppressed duplicates: ' + error.suppressedCount);
+        }
+        lines.push('Time: ' + formatTimestamp(report.timestamp));
+        lines.push('App: ' + grep([report.app, report.release, report.environment && '(' + report.environment + ')'], Boolean).join(' '));
+        if (report.page) {
+            lines.push('URL: ' + report.page.url);
+            lines.push('User agent: ' + report.page.userAgent);
+        }
+        if (report.process) {
+            lines.push('Process: ' + report.process.pid + ' (Node.js ' + report.process.version + ', ' + report.process.platform + ')');
+        }
+        if (report.user) {
+            lines.push('User: ' + stringify(report.user));
+        }
+
+        lines = lines.concat(textSection('Stack', map(error.frames || [], function (frame) {
+            return 'at ' + formatFrame(frame);
+        })));
+        lines = lines.concat(textSection('Audit', map(error.auditTrail || [], function (layer) {
+            return layer.name + '; arguments: ' + layer.args + '; this: ' + layer.context;
+        })));
+        lines = lines.concat(textSection('Caused by', (function () {
+            var causeLines = [],
+                cause = error.cause;
+            while (cause) {
+                causeLines.push(cause.type + ': ' + cause.message);
+                causeLines = causeLines.concat(map(cause.frames || [], function (frame) {
+                    return '  at ' + formatFrame(frame);
+                }));
+                causeLines = causeLines.concat(map(cause.auditTrail || [], function (layer) {
+                    return '  audited ' + layer.name + '; arguments: ' + layer.args + '; this: ' + layer.context;
+                }));
+                cause = cause.cause;
+            }
+            return causeLines;
+        })()));
+        lines = lines.concat(textSection('Breadcrumbs', map(report.breadcrumbs || [], function (crumb) {
+            return formatTimestamp(crumb.timestamp) + ' ' + crumb.category + ' ' + crumb.message +
+                (crumb.data !== undefined ? ' ' + stringify(crumb.data) : '');
+        })));
+        lines = lines.concat(textSection('Context', map(report.context || {}, function (value, key) {
+            return key + ': ' + stringify(value);
+        })));
+        lines = lines.concat(textSection('Tags', map(report.tags || {}, function (value, key) {
+            return key + '=' + value;
+        })));
+
+        return lines.join('\n');
+    }
+
+    addFormatter('text', formatText, {
+        contentType: 'text/plain',
+        formatBatch: function (reports) {
+            return map(reports, formatText).join('\n\n' + new Array(41).join('-') + '\n\n');
+        }
+    });
+
+    //}}} end of report formatters
+
+    //{{{ introspection functions
+
+    var privateRegEx = /^(_)+/; // a name starting with an underscore indicates "private"
+
+    function filterObject(obj, filter) {
+        // returns a key/value object of all of the k/v from the obj that are true for the filter
+        var filtered = {};
+
+        // includes inherited properties, so methods defined on a prototype are found
+        for (var k in obj) {
+            if (filter(k, obj[k])) {
+                filtered[k] = obj[k];
+            }
+        }
+
+        return filtered;
+    }
+
+    var getPublicMethods = (function () {
+        function filter(key, value) {
+            return isFunction(value) && !privateRegEx.test(key);
+        }
+
+        return function getPublicMethods(obj) {
+            return filterObject(obj, filter);
+        };
+    })();
+
+    var getPrivateMethods = (function () {
+        function filter(key, value) {
+            return isFunction(value) && privateRegEx.test(key);
+        }
+
+        return function getPrivateMethods(obj) {
+            return filterObject(obj, filter);
+        };
+    })();
+
+    var getAllMethods = (function () {
+        function filter(key, value) {
+            return isFunction(value);
+        }
+
+        return function getAllMethods(obj) {
+            return filterObject(obj, filter);
+        };
+    })();
+
+    var getPublicProperties = (function () {
+        function filter(key, value) {
+            return !isFunction(value) && !privateRegEx.test(key);
+        }
+
+        return function getPublicProperties(obj) {
+            return filterObject(obj, filter);
+        };
+    })();
+
+    var getPrivateProperties = (function () {
+        function filter(key, value) {
+            return !isFunction(value) && privateRegEx.test(key);
+        }
+
+        return function getPrivateProperties(obj) {
+            return filterObject(obj, filter);
+        };
+    })();
+
+    var getAllProperties = (function () {
+        function filter(key, value) {
+            return !isFunction(value);
+        }
+
+        return function getAllProperties(obj) {
+            return filterObject(obj, filter);
+        };
+    })();
+
+    //}}} end of introspection functions
+
+    //{{{ snapshots
+
+    function takeSnapshot(obj) {
+        // a copy of the object's property state; safe to keep around, since later changes to the
+        // object don't affect it
+        return toSafeData({
+            'public': getPublicProperties(obj),
+            'private': getPrivateProperties(obj)
+        });
+    }
+
+    function diffSnapshots(before, after, path, changes) {
+        // returns a list of changes between two snapshots (or any plain data):
+        //   {path: '$.public.count', before: 1, after: 2}
+        //   {path: '$.private._items[3]', after: 'x'}  (added)
+        //   {path: '$.public.name', before: 'x'}       (removed)
+        var bothArrays = isArray(before) && isArray(after),
+            keys = {},
+            k;
+
+        path = path || '$';
+        changes = changes || [];
+
+        if (bothArrays || (isPlainObject(before) && isPlainObject(after))) {
+            for (k in before) {
+                if (hasOwn(before, k)) {
+                    keys[k] = true;
+                }
+            }
+            for (k in after) {
+                if (hasOwn(after, k)) {
+                    keys[k] = true;
+                }
+            }
+            for (k in keys) {
+                if (!hasOwn(after, k)) {
+                    changes.push({path: childPath(path, k, bothArrays), before: before[k]});
+                } else if (!hasOwn(before, k)) {
+                    changes.push({path: childPath(path, k, bothArrays), after: after[k]});
+                } else {
+                    diffSnapshots(before[k], after[k], childPath(path, k, bothArrays), changes);
+                }
+            }
+        } else if (before !== after && JSON.stringify(before) !== JSON.stringify(after)) {
+            changes.push({path: path, before: before, after: after});
+        }
+
+        return changes;
+    }
+
+    //}}} end of snapshots
+
+    //{{{ audit wrappers
+
+    function annotateError(err, name, args, context, scheduledFrames) {
+        // adds the audit information to the error, without touching its message; every audit layer the
+        // error passes through is added to err.auditTrail (innermost first):
+        //   {name: 'Cart.add', args: '[{"id":1}]', context: '[object Object]', scheduledFrames: [...]}
+        // returns the error that should be thrown
+        try {
+            var annotated = err,
+                layer,
+                contextString;
+
+            if (typeof(annotated) !== 'object' || annotated === null) {
+                // it's possible to throw non-Error values; wrap them in a proper error
+                annotated = wrap(err, 'oopsieError', 'non-error value thrown: ' + stringify(err));
+            }
+
+            try {
+                contextString = String(context);
+            } catch (e) {
+                contextString = '[toString() failed]';
+            }
+
+            layer = {
+                name: name,
+                args: stringify(args),
+                context: contextString
+            };
+
+            if (scheduledFrames) {
+                // where an asynchronous callback was scheduled; the innermost one is also kept on the error
+                layer.scheduledFrames = scheduledFrames;
+                if (!annotated.scheduledFrames) {
+                    annotated.scheduledFrames = scheduledFrames;
+                }
+            }
+
+            annotated.auditTrail = (annotated.auditTrail || []).concat([layer]);
+
+            return annotated;
+        } catch (err2) {
+            // under no circumstances should we allow the error reporting to break things; better to lose some
+            // debugging information than to throw a different exception
+            return err; // throw the original error
+        }
+    }
+
+    function attachSnapshot(err, before, context) {
+        // the innermost audit layer knows best what its method changed, so outer layers don't overwrite it
+        try {
+            if (typeof(err) === 'object' && err !== null && !err.snapshot) {
+                err.snapshot = before;
+                err.stateDiff = diffSnapshots(before, takeSnapshot(context));
+            }
+        } catch (e) {
+            null;
+        }
+        return err;
+    }
+
+    function audit(name, fn, context, options) {
+        // wraps a function with a try/catch layer that will add information to the error (err.auditTrail)
+        // in the event of an error being thrown
+        // added information:
+        //   arguments
+        //   toString() of the context object
+        // options:
+        //   snapshot - if true, the context's property state is captured when the call starts; an error
+        //              gets that snapshot (err.snapshot) and what the call changed before it failed (err.stateDiff)
+
+        context = context || {};
+
+        var snapshot = !!(options && options.snapshot);
+
+        return function oopsieAudit() {
+            var before = snapshot ? takeSnapshot(context) : null;
+            try {
+                return fn.apply(context, arguments);
+            } catch (err) {
+                err = annotateError(err, name, arguments, context);
+                throw before ? attachSnapshot(err, before, context) : err;
+            }
+        };
+    }
+
+    function auditMethods(obj, prefix, filter, options) {
+        // wraps methods with handlers that will add verbose error messages
+        // in the event of an error
+        // prefix - (optional) allows a prefix to be included before the name;
+        //   ex: prefix = "Archive"
+        //     verbose messages would then print the function name as: "Archive.log", "Archive.add", etc;
+        //     if no prefix was provided, the names would just be "log", "add", etc.
+        // options - (optional) passed on to audit(); ex: {snapshot: true}
+        prefix = prefix || '';
+        filter = filter || getAllMethods;
+        var methods = filter(obj);
+
+        if (prefix) {
+            // only want one '.' at the end
+            prefix = prefix.replace(/(\.)+$/, ''); // remove all trailing '.'
+            prefix += '.';
+        }
+
+        each(methods, function (name, fn) {
+            obj[name] = audit(prefix + name, fn, obj, options);
+        });
+    }
+
+    function auditPublicMethods(obj, prefix, options) {
+        auditMethods(obj, prefix, getPublicMethods, options);
+    }
+
+    function auditPrivateMethods(obj, prefix, options) {
+        auditMethods(obj, prefix, getPrivateMethods, options);
+    }
+
+    //}}} end of audit wrappers
+
+    //{{{ async audit wrappers
+
+    // audit() only sees errors thrown while the wrapped function is on the stack; callbacks for
+    // timers, event handlers and Deferreds run later, so these wrappers also capture where the
+    // callback was scheduled (err.scheduledFrames)
+
+    function captureScheduledFrames() {
+        try {
+            throw new Error();
+        } catch (e) {
+            return getFrames(e);
+        }
+    }
+
+    function auditCallback(name, fn, context) {
+        // the asynchronous version of audit(); wrap the callback when it is scheduled
+        // without a context, the callback keeps the context it is called with (ex: the element for
+        // event handlers)
+        var scheduledFrames = captureScheduledFrames();
+
+        return function oopsieAuditCallback() {
+            var ctx = context === undefined ? this : context;
+            try {
+                return fn.apply(ctx, arguments);
+            } catch (err) {
+                throw annotateError(err, name, arguments, ctx === undefined || ctx === null ? {} : ctx, scheduledFrames);
+            }
+        };
+    }
+
+    function auditTimeout(name, fn, delay) {
+        // setTimeout with an audited callback
+        return setTimer(auditCallback(name, fn), delay);
+    }
+
+    function auditInterval(name, fn, delay) {
+        // setInterval with an audited callback
+        return setRepeatingTimer(auditCallback(name, fn), delay);
+    }
+
+    function auditCallbackArgs(args, name) {
+        // audits every function in an argument list; Deferred methods also accept arrays of functions
+        return map(toArray.apply({}, args), function (arg) {
+            if (isFunction(arg)) {
+                return auditCallback(name, arg);
+            }
+            if (isArray(arg)) {
+                return [auditCallbackArgs(arg, name)]; // map() flattens arrays
+            }
+            return [arg];
+        });
+    }
+
+    var deferredMethods = ['then', 'done', 'fail', 'always'];
+
+    function auditDeferred(deferred, name) {
+        // audits the callbacks of a Deferred (or promise), including the promise it hands out
+        // returns the Deferred
+        if (!deferred || deferred.oopsieAudited) {
+            return deferred;
+        }
+
+        name = name || 'Deferred';
+
+        each(deferredMethods, function (i, method) {
+            var original = deferred[method];
+            if (isFunction(original)) {
+                deferred[method] = function oopsieDeferredMethod() {
+                    return original.apply(this, auditCallbackArgs(arguments, name + '.' + method));
+                };
+            }
+        });
+
+        var promise = deferred.promise;
+        if (isFunction(promise)) {
+            deferred.promise = function () {
+                return auditDeferred(promise.apply(this, arguments), name);
+            };
+        }
+
+        deferred.oopsieAudited = true;
+
+        return deferred;
+    }
+
+    //}}} end of async audit wrappers
+
+    //{{{ global async auditing
+
+    // opt-in: patches jQuery's $.fn.on and $.Deferred (when jQuery is loaded), and the global
+    // setTimeout/setInterval, so that every callback is audited
+    // RECOMMEND ONLY ENABLING IN DEVELOPMENT/QA; capturing a stack for every callback isn't free
+
+    var asyncAuditPatches = {}; // name -> function that restores the original
+
+    function patch(name, obj, property, makeReplacement) {
+        var original = obj[property];
+        if (hasOwn(asyncAuditPatches, name) || !isFunction(original)) {
+            return;
+        }
+        obj[property] = makeReplacement(original);
+        asyncAuditPatches[name] = function () {
+            obj[property] = original;
+        };
+    }
+
+    function patchTimer(name) {
+        patch(name, window, name, function (original) {
+            return function oopsieTimer(fn) {
+                var args = toArray.apply({}, arguments);
+                if (isFunction(fn)) {
+                    args[0] = auditCallback(name, fn);
+                }
+                return original.apply(window, args);
+            };
+        });
+    }
+
+    function auditHandlerArg(fn, name) {
+        var wrapped = auditCallback(name, fn);
+        // share the guid, so .off() with the original function still removes the handler
+        wrapped.guid = fn.guid = fn.guid || $.guid++;
+        return wrapped;
+    }
+
+    function enableAsyncAudit(options) {
+        // options: {events: true, timers: true, deferreds: true}
+        var opts = extend({
+            events: true,
+            timers: true,
+            deferreds: true
+        }, options || {});
+
+        if (opts.timers) {
+            patchTimer('setTimeout');
+            patchTimer('setInterval');
+        }
+
+        if (opts.events && $) {
+            patch('on', $.fn, 'on', function (original) {
+                return function oopsieOn(types) {
+                    var args = toArray.apply({}, arguments),
+                        events,
+                        i;
+
+                    if (typeof(types) === 'object' && types !== null) {
+                        // .on({click: fn, ...})
+                        events = {};
+                        each(types, function (type, fn) {
+                            events[type] = isFunction(fn) ? auditHandlerArg(fn, 'jQuery.on(' + type + ')') : fn;
+                        });
+                        args[0] = events;
+                    } else {
+                        for (i = args.length - 1; i >= 0; i--) {
+                            if (isFunction(args[i])) {
+                                args[i] = auditHandlerArg(args[i], 'jQuery.on(' + types + ')');
+                                break;
+                            }
+                        }
+                    }
+
+                    return original.apply(this, args);
+                };
+            });
+        }
+
+        if (opts.deferreds && $) {
+            patch('Deferred', $, 'Deferred', function (original) {
+                var Deferred = function oopsieDeferred() {
+                    return auditDeferred(original.apply(this, arguments));
+                };
+                extend(Deferred, original); // keep any static properties (ex: exceptionHook)
+                return Deferred;
+            });
+        }
+    }
+
+    function disableAsyncAudit() {
+        // restores everything patched by enableAsyncAudit(); callbacks that were already wrapped stay audited
+        each(asyncAuditPatches, function (name, restore) {
+            restore();
+        });
+        asyncAuditPatches = {};
+    }
+
+    //}}} end of global async auditing
+
+    //{{{ asserting
+
+    // all assertions accept optional message arguments after their own arguments; like assert(),
+    // they are only stringified if the assertion fails
+    // ex: assert.equal(cart.total, 10, 'cart total', cart)
+    //
+    // failed assertions throw an assertionError; the specialized assertions also set err.assertion
+    // (ex: 'equal'), err.expected and err.actual
+    //
+    // mode:
+    //   'throw' - (default) failed assertions throw
+    //   'warn'  - failed assertions are reported as warnings and execution continues
+    //   'off'   - assertions aren't checked at all
+    // RECOMMEND USING 'warn' OR 'off' ONLY IN PRODUCTION
+    // the mode only applies to the app's assertions; oopsie's own argument checks always throw
+
+    var assertionSettings = {
+        mode: 'throw'
+    };
+
+    function configureAssertions(settings) {
+        extend(assertionSettings, settings || {});
+        return assertionSettings;
+    }
+
+    function assertionsEnabled() {
+        return assertionSettings.mode !== 'off';
+    }
+
+    function stringifyArgs(args) {
+        var msg = [];
+        for (var i = 0, len = args.length; i < len; i++) {
+            msg[msg.length] = stringify(args[i]);
+        }
+        return msg;
+    }
+
+    function raiseAssertion(msg, details) {
+        var err;
+
+        if (oopsie.dev.alertOnAssertFailure) {
+            oopsie.dev.alert(msg);
+        }
+
+        if (oopsie.dev.debugOnAssertFailure) {
+            oopsie.dev.debug();
+        }
+
+        err = makeError('assertionError', msg, assertionSettings.mode === 'warn' ? {severity: 'warning'} : {});
+        if (details) {
+            extend(err, details);
+        }
+
+        if (assertionSettings.mode === 'warn') {
+            reportError(err);
+            return;
+        }
+
+        throw err;
+    }
+
+    function assert(bool) {
+        // it's recommended that a message is included in the assert
+        // ex: assert(bool, 'some message')
+        // all arguments after "bool" will be treated as message arguments; they
+        // will only be evaluated and included if the assertion fails
+        if (!bool && assertionsEnabled()) {
+            raiseAssertion(stringifyArgs(Array.prototype.slice.call(arguments, 1)).join('\n'));
+        }
+    }
+
+    function invariant(bool) {
+        // oopsie's own argument checks; unlike assert(), they always throw, whatever the mode
+        if (!bool) {
+            throw makeError('assertionError', stringifyArgs(Array.prototype.slice.call(arguments, 1)).join('\n'));
+        }
+    }
+
+    function fail() {
+        // same as assert(false, msg)
+        assert.apply(this, [false].concat(Array.prototype.slice.call(arguments)));
+    }
+
+    function failAssertion(assertion, description, expected, actual, msgArgs, expectedText, details) {
+        // expectedText (optional) describes the expectation when the expected value alone doesn't
+        var msg = [
+            '[assert.' + assertion + '] ' + description,
+            'Expected: ' + (expectedText || stringify(expected)),
+            'Actual: ' + stringify(actual)
+        ].concat(stringifyArgs(msgArgs));
+
+        raiseAssertion(msg.join('\n'), extend({
+            assertion: assertion,
+            expected: expected,
+            actual: actual
+        }, details || {}));
+    }
+
+    function msgArgsFrom(args, start) {
+        return Array.prototype.slice.call(args, start);
+    }
+
+    function typeOf(value) {
+        // typeof, but distinguishes null, arrays, dates, regexps and errors
+        if (value === null) {
+            return 'null';
+        }
+        if (isArray(value)) {
+            return 'array';
+        }
+        if (typeof(value) === 'object' && /^(?:Date|RegExp|Error)$/.test(getClass(value))) {
+            return getClass(value).toLowerCase();
+        }
+        return typeof(value);
+    }
+
+    var deepEqualOptions = {
+        tagged: true,  // so NaN, undefined, Dates, etc. are compared as what they are
+        redact: false, // redacted values would always look equal
+        maxDepth: 100,
+        maxStringLength: 0,
+        maxEntries: Infinity
+    };
+
+    function isDeepEqual(a, b) {
+        // compares the stringify representations (circular safe, translators applied); key order doesn't matter
+        function compare(x, y) {
+            var k;
+            if (x === y) {
+                return true;
+            }
+            if (isArray(x) && isArray(y)) {
+                if (x.length !== y.length) {
+                    return false;
+                }
+                for (k = 0; k < x.length; k++) {
+                    if (!compare(x[k], y[k])) {
+                        return false;
+                    }
+                }
+                return true;
+            }
+            if (isPlainObject(x) && isPlainObject(y)) {
+                for (k in x) {
+                    if (hasOwn(x, k) && (!hasOwn(y, k) || !compare(x[k], y[k]))) {
+                        return false;
+                    }
+                }
+                for (k in y) {
+                    if (hasOwn(y, k) && !hasOwn(x, k)) {
+                        return false;
+                    }
+                }
+                return true;
+            }
+            return false;
+        }
+
+        return compare(toSafeData(a, deepEqualOptions), toSafeData(b, deepEqualOptions));
+    }
+
+    function assertEqual(actual, expected) {
+        // strict equality (===)
+        if (assertionsEnabled() && actual !== expected) {
+            failAssertion('equal', 'values are not equal', expected, actual, msgArgsFrom(arguments, 2));
+        }
+    }
+
+    function assertNotEqual(actual, expected) {
+        if (assertionsEnabled() && actual === expected) {
+            failAssertion('notEqual', 'values are equal', expected, actual, msgArgsFrom(arguments, 2),
+                'anything but ' + stringify(expected));
+        }
+    }
+
+    function assertDeepEqual(actual, expected) {
+        if (assertionsEnabled() && !isDeepEqual(actual, expected)) {
+            failAssertion('deepEqual', 'values are not deeply equal', expected, actual, msgArgsFrom(arguments, 2));
+        }
+    }
+
+    function assertType(value, type) {
+        // type as returned by typeOf(): 'string', 'number', 'boolean', 'function', 'object', 'array',
+        // 'null', 'undefined', 'date', 'regexp', 'error'
+        if (assertionsEnabled() && typeOf(value) !== type) {
+            failAssertion('type', 'value is not of type ' + type, type, value, msgArgsFrom(arguments, 2),
+                type + ' (got ' + typeOf(value) + ')');
+        }
+    }
+
+    function assertInstanceOf(value, constructor) {
+        if (assertionsEnabled() && !(value instanceof constructor)) {
+            failAssertion('instanceOf', 'value is not an instance of ' + (getFunctionName(constructor) || 'the constructor'),
+                constructor, value, msgArgsFrom(arguments, 2));
+        }
+    }
+
+    function assertMatches(str, regex) {
+        if (assertionsEnabled() && !(typeof(str) === 'string' && testRegExp(regex, str))) {
+            failAssertion('matches', 'value does not match ' + regex, regex, str, msgArgsFrom(arguments, 2));
+        }
+    }
+
+    function assertInRange(n, min, max) {
+        // inclusive
+        if (assertionsEnabled() && !(typeof(n) === 'number' && n >= min && n <= max)) {
+            failAssertion('inRange', 'value is out of range', {min: min, max: max}, n, msgArgsFrom(arguments, 3),
+                'between ' + min + ' and ' + max + ' (inclusive)');
+        }
+    }
+
+    function throwMatches(err, expected) {
+        if (expected === undefined) {
+            return true;
+        }
+        if (expected instanceof RegExp) {
+            return testRegExp(expected, err && err.message !== undefined ? err.message : String(err));
+        }
+        if (typeof(expected) === 'string') {
+            // an oopsie error type or an error name; ex: 'assertionError', 'TypeError'
+            return is(err, expected) || (!!err && err.name === expected);
+        }
+        if (isFunction(expected)) {
+            return err instanceof expected;
+        }
+        return false;
+    }
+
+    function assertThrows(fn, expected) {
+        // expected (optional): an oopsie error type or error name, a RegExp for the message, or a constructor
+        // returns what was thrown
+        if (!assertionsEnabled()) {
+            return undefined;
+        }
+
+        var msgArgs = msgArgsFrom(arguments, expected === undefined || arguments.length < 2 ? 1 : 2);
+
+        try {
+            fn();
+        } catch (err) {
+            if (!throwMatches(err, expected)) {
+                failAssertion('throws', 'the wrong error was thrown', expected, err, msgArgs);
+            }
+            return err;
+        }
+
+        failAssertion('throws', 'nothing was thrown', expected, undefined, msgArgs, expected === undefined ? 'an error' : '');
+        return undefined;
+    }
+
+    function checkShape(value, shape, path, problems) {
+        // shape can be:
+        //   'string', 'number', etc. (see typeOf); append '?' for optional values; 'any' matches everything
+        //   ['string'] - an array whose items all match the inner shape
+        //   {id: 'number', ...} - an object whose keys match the inner shapes; extra keys are allowed
+        //   a RegExp - a string that matches it
+        //   a function - a predicate returning true for valid values
+        var optional,
+            type;
+
+        if (typeof(shape) === 'string') {
+            optional = /\?$/.test(shape);
+            type = shape.replace(/\?$/, '');
+            if ((optional && (value === undefined || value === null)) || type === 'any') {
+                return problems;
+            }
+            if (typeOf(value) !== type) {
+                problems.push(path + ': expected ' + type + ', got ' + typeOf(value));
+            }
+        } else if (isArray(shape)) {
+            if (!isArray(value)) {
+                problems.push(path + ': expected array, got ' + typeOf(value));
+            } else if (shape.length) {
+                each(value, function (i, item) {
+                    checkShape(item, shape[0], childPath(path, i, true), problems);
+                });
+            }
+        } else if (shape instanceof RegExp) {
+            if (typeof(value) !== 'string' || !testRegExp(shape, value)) {
+                problems.push(path + ': expected a string matching ' + shape + ', got ' + stringify(value));
+            }
+        } else if (isFunction(shape)) {
+            if (!shape(value)) {
+                problems.push(path + ': ' + stringify(value) + ' is not valid' + (getFunctionName(shape) ? ' (' + getFunctionName(shape) + ')' : ''));
+            }
+        } else if (shape && typeof(shape) === 'object') {
+            if (value === null || typeof(value) !== 'object') {
+                problems.push(path + ': expected object, got ' + typeOf(value));
+            } else {
+                each(shape, function (key, inner) {
+                    checkShape(value[key], inner, childPath(path, key), problems);
+                });
+            }
+        }
+
+        return problems;
+    }
+
+    function assertShape(value, shape) {
+        // ex: assert.shape(obj, {id: 'number', name: 'string?', tags: ['string']})
+        if (!assertionsEnabled()) {
+            return;
+        }
+
+        var problems = checkShape(value, shape, '$', []);
+        if (problems.length) {
+            failAssertion('shape', 'value does not match the shape\n' + problems.join('\n'), shape, value,
+                msgArgsFrom(arguments, 2), '', {problems: problems});
+        }
+    }
+
+    assert.equal = assertEqual;
+    assert.notEqual = assertNotEqual;
+    assert.deepEqual = assertDeepEqual;
+    assert.type = assertType;
+    assert.instanceOf = assertInstanceOf;
+    assert.matches = assertMatches;
+    assert.throws = assertThrows;
+    assert.inRange = assertInRange;
+    assert.shape = assertShape;
+
+    //}}} end of asserting
+
+    //{{{ contracts
+
+    // design-by-contract wrappers; like audit(), errors thrown by the function get the audit
+    // information added, and so do contract violations:
+    //   preconditionError  - a precondition failed, or an invariant failed before the call
+    //   postconditionError - a postcondition failed, or an invariant failed after the call
+    // both are subtypes of contractError, which is a subtype of assertionError
+    // contracts follow the assertion mode: 'warn' reports violations instead of throwing, 'off' skips the checks
+    //
+    // conditions can be a function, an array of functions or an object of named functions (the names
+    // make violations easier to read); a condition fails if it returns a falsy value or throws
+    //   pre       - called with the call's arguments
+    //   post      - called with the return value followed by the call's arguments; when a Deferred/promise
+    //               is returned, it is called with the resolved value, and a violation rejects the promise
+    //               returned in its place
+    //   invariant - called with the object (also as this) before and after the call
+    //
+    // ex: var withdraw = oopsie.contract(function (amount) { ... }, {
+    //         name: 'Account.withdraw',
+    //         pre: {positiveAmount: function (amount) { return amount > 0; }},
+    //         post: function (balance) { return balance >= 0; }
+    //     });
+
+    function toConditions(conditions) {
+        // normalizes the different ways conditions can be given into [{label, fn}, ...]
+        var list = [];
+        if (isFunction(conditions)) {
+            list.push({label: getFunctionName(conditions) || '#1', fn: conditions});
+        } else if (isArray(conditions)) {
+            each(conditions, function (i, fn) {
+                list.push({label: getFunctionName(fn) || '#' + (i + 1), fn: fn});
+            });
+        } else if (conditions) {
+            each(conditions, function (label, fn) {
+                list.push({label: label, fn: fn});
+            });
+        }
+        return list;
+    }
+
+    function findViolation(conditions, context, args) {
+        // returns {label, reason} for the first failing condition, or null
+        var i,
+            ok,
+            reason;
+
+        for (i = 0; i < conditions.length; i++) {
+            reason = '';
+            try {
+                ok = conditions[i].fn.apply(context, args);
+            } catch (e) {
+                ok = false;
+                reason = e && e.message !== undefined ? e.message : String(e);
+            }
+            if (!ok) {
+                return {
+                    label: conditions[i].label,
+                    reason: reason
+                };
+            }
+        }
+        return null;
+    }
+
+    function contractViolation(type, kind, violation, name, args, context) {
+        var err = makeError(type, [
+            '[contract] ' + kind + ' "' + violation.label + '" failed',
+            violation.reason
+        ].join(violation.reason ? ': ' : ''), assertionSettings.mode === 'warn' ? {severity: 'warning'} : {});
+
+        err.contract = {
+            name: name,
+            condition: kind,
+            label: violation.label
+        };
+
+        return annotateError(err, name, args, context);
+    }
+
+    function checkConditions(type, kind, conditions, context, conditionArgs, name, args) {
+        // returns the violation error (already reported in 'warn' mode), or null
+        var violation = findViolation(conditions, context, conditionArgs),
+            err;
+
+        if (!violation) {
+            return null;
+        }
+
+        err = contractViolation(type, kind, violation, name, args, context);
+        if (assertionSettings.mode === 'warn') {
+            reportError(err);
+            return null;
+        }
+        return err;
+    }
+
+    function isThenable(value) {
+        return !!value && (typeof(value) === 'object' || isFunction(value)) && isFunction(value.then);
+    }
+
+    function contract(fn, spec) {
+        // spec: {pre, post, invariant, name, context}; without a context, the function keeps the context
+        // it is called with
+        spec = spec || {};
+
+        var name = spec.name || getFunctionName(fn) || 'contract',
+            pre = toConditions(spec.pre),
+            post = toConditions(spec.post),
+            invariant = toConditions(spec.invariant);
+
+        return function oopsieContract() {
+            var context = spec.context !== undefined ? spec.context : this,
+                args = arguments,
+                checking = assertionsEnabled(),
+                violation,
+                result;
+
+            if (checking) {
+                violation = checkConditions('preconditionError', 'invariant', invariant, context, [context], name, args) ||
+                    checkConditions('preconditionError', 'precondition', pre, context, toArray.apply({}, args), name, args);
+                if (violation) {
+                    throw violation;
+                }
+            }
+
+            try {
+                result = fn.apply(context, args);
+            } catch (err) {
+                throw annotateError(err, name, args, context);
+            }
+
+            if (!checking) {
+                return result;
+            }
+
+            violation = checkConditions('postconditionError', 'invariant', invariant, context, [context], name, args);
+            if (violation) {
+                throw violation;
+            }
+
+            if (post.length && isThenable(result)) {
+                if (isFunction(result.pipe) && $) {
+                    // jQuery Deferred; throwing from a callback wouldn't reject it (before jQuery 3)
+                    return result.pipe(function () {
+                        var values = toArray.apply({}, arguments),
+                            err = checkConditions('postconditionError', 'postcondition', post, context, values.concat(toArray.apply({}, args)), name, args);
+                        return err ? new $.Deferred().reject(err).promise() : new $.Deferred().resolveWith(this, values).promise();
+                    });
+                }
+                return result.then(function (value) {
+                    var err = checkConditions('postconditionError', 'postcondition', post, context, [value].concat(toArray.apply({}, args)), name, args);
+                    if (err) {
+                        throw err;
+                    }
+                    return value;
+                });
+            }
+
+            violation = checkConditions('postconditionError', 'postcondition', post, context, [result].concat(toArray.apply({}, args)), name, args);
+            if (violation) {
+                throw violation;
+            }
+
+            return result;
+        };
+    }
+
+    function contractMethods(obj, spec) {
+        // the contract() counterpart to auditMethods()
+        // spec:
+        //   prefix    - (optional) included before the method names; ex: 'Account' -> 'Account.withdraw'
+        //   invariant - checked around every public method, and every method listed in spec.methods
+        //   methods   - {methodName: {pre, post}, ...}
+        // ex: oopsie.exception.contractMethods(account, {
+        //         prefix: 'Account',
+        //         invariant: function () { return this.balance >= 0; },
+        //         methods: {withdraw: {pre: function (amount) { return amount > 0; }}}
+        //     });
+        spec = spec || {};
+
+        var prefix = spec.prefix ? spec.prefix.replace(/(\.)+$/, '') + '.' : '',
+            methods = spec.invariant ? getPublicMethods(obj) : {};
+
+        each(spec.methods || {}, function (name) {
+            invariant(isFunction(obj[name]), '[oopsie.exception.contractMethods] not a method', name);
+            methods[name] = obj[name];
+        });
+
+        each(methods, function (name, fn) {
+            var methodSpec = (spec.methods || {})[name] || {};
+            obj[name] = contract(fn, {
+                name: prefix + name,
+                context: obj,
+                pre: methodSpec.pre,
+                post: methodSpec.post,
+                invariant: spec.invariant
+            });
+        });
+    }
+
+    //}}} end of contracts
+
+    //{{{ dev utilities
+
+    // generally, these are helpers to native functionality that is difficult to mock out
+    // during unit tests; the helpers make it much easier to mock out or spy on
+
+    function alert(msg) {
+        if (isFunction(window.alert)) {
+            window.alert(msg);
+        } else if (window.console) {
+            window.console.error(msg); // Node.js
+        }
+    }
+
+    function debug() {
+        debugger; // intentional; not a forgotten debugger statement :)
+    }
+
+    function reload() {
+        if (window.location) {
+            window.location.reload();
+        }
+    }
+
+    function redirect(url) {
+        if (window.location) {
+            window.location.href = url;
+        }
+    }
+
+    //}}} end of dev utilities
+
+    //{{{ dev overlay
+
+    // a non-blocking panel that lists reported errors as they happen; an alternative to
+    // alertOnAssertFailure during development
+    // enable with: oopsie.dev.showOverlay = true
+    // the panel is only created once an error is reported, and never when oopsie.configure() sets a
+    // production environment (see overlaySettings.productionEnvironments)
+    // RECOMMEND YOU ONLY USE IN DEVELOPMENT
+
+    var overlaySettings = {
+            maxEntries: 50,      // the oldest entries are removed first
+            copyFormat: 'text',  // formatter used by the "copy report" button; see oopsie.tostring.addFormatter
+            productionEnvironments: ['production', 'prod']
+        },
+        overlay = null; // {panel, list, filterBar, count, entries, filters, collapsed}
+
+    var overlayStyles = {
+        panel: 'position:fixed;right:8px;bottom:8px;width:480px;max-width:90%;max-height:50%;overflow:auto;' +
+            'z-index:2147483647;background:#1e1e1e;color:#eee;font:12px/1.4 monospace;border:1px solid #c33;' +
+            'box-shadow:0 2px 8px rgba(0,0,0,.5);',
+        header: 'display:flex;align-items:center;gap:6px;padding:4px 6px;background:#c33;color:#fff;cursor:pointer;',
+        button: 'font:inherit;padding:0 6px;cursor:pointer;',
+        filterBar: 'padding:4px 6px;border-bottom:1px solid #444;',
+        entry: 'padding:4px 6px;border-bottom:1px solid #333;',
+        badge: 'margin-left:6px;padding:0 4px;background:#555;border-radius:3px;',
+        pre: 'margin:4px 0;white-space:pre-wrap;word-break:break-all;'
+    };
+
+    function configureOverlay(settings) {
+        extend(overlaySettings, settings || {});
+        return overlaySettings;
+    }
+
+    function isProductionConfig() {
+        return inArray(String(config.environment || '').toLowerCase(), overlaySettings.productionEnvironments) !== -1;
+    }
+
+    function createElement(tag, style, text) {
+        var el = document.createElement(tag);
+        if (style) {
+            el.style.cssText = style;
+        }
+        if (text !== undefined) {
+            el.appendChild(document.createTextNode(text));
+        }
+        return el;
+    }
+
+    function copyText(text, button) {
+        function copied() {
+            button.textContent = 'copied';
+            setTimer(function () {
+                button.textContent = 'copy report';
+            }, 1500);
+        }
+
+        if (window.navigator && window.navigator.clipboard && isFunction(window.navigator.clipboard.writeText)) {
+            window.navigator.clipboard.writeText(text).then(copied, noop);
+            return;
+        }
+
+        // older browsers
+        var textarea = createElement('textarea', 'position:fixed;left:-9999px;');
+        textarea.value = text;
+        document.body.appendChild(textarea);
+        textarea.select();
+        try {
+            if (document.execCommand('copy')) {
+                copied();
+            }
+        } catch (e) {
+            null;
+        }
+        document.body.removeChild(textarea);
+    }
+
+    function updateOverlayHeader() {
+        var suppressed = 0;
+        each(overlay.entries, function (i, entry) {
+            suppressed += entry.suppressed;
+        });
+        overlay.count.textContent = 'oopsie: ' + overlay.entries.length + ' error(s)' +
+            (suppressed ? ', ' + suppressed + ' duplicate(s) suppressed' : '');
+    }
+
+    function updateOverlayFilters() {
+        var counts = {};
+
+        each(overlay.entries, function (i, entry) {
+            counts[entry.type] = (counts[entry.type] || 0) + 1;
+            entry.el.style.display = overlay.filters[entry.type] === false ? 'none' : '';
+        });
+
+        overlay.filterBar.innerHTML = '';
+        each(counts, function (type, count) {
+            var label = createElement('label', 'margin-right:8px;cursor:pointer;'),
+                checkbox = createElement('input');
+
+            checkbox.type = 'checkbox';
+            checkbox.checked = overlay.filters[type] !== false;
+            checkbox.onchange = function () {
+                overlay.filters[type] = checkbox.checked;
+                updateOverlayFilters();
+            };
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + type + ' (' + count + ')'));
+            overlay.filterBar.appendChild(label);
+        });
+    }
+
+    function createOverlay() {
+        var panel = createElement('div', overlayStyles.panel),
+            header = createElement('div', overlayStyles.header),
+            count = createElement('span', 'flex:1;'),
+            clear = createElement('button', overlayStyles.button, 'clear'),
+            close = createElement('button', overlayStyles.button, 'close'),
+            body = createElement('div'),
+            filterBar = createElement('div', overlayStyles.filterBar),
+            list = createElement('div');
+
+        panel.className = 'oopsie-overlay';
+        header.title = 'click to collapse/expand';
+        header.appendChild(count);
+        header.appendChild(clear);
+        header.appendChild(close);
+        body.appendChild(filterBar);
+        body.appendChild(list);
+        panel.appendChild(header);
+        panel.appendChild(body);
+
+        header.onclick = function () {
+            overlay.collapsed = !overlay.collapsed;
+            body.style.display = overlay.collapsed ? 'none' : '';
+        };
+        clear.onclick = function (e) {
+            e.stopPropagation();
+            clearOverlay();
+        };
+        close.onclick = function (e) {
+            e.stopPropagation();
+            removeOverlay();
+        };
+
+        (document.body || document.documentElement).appendChild(panel);
+
+        overlay = {
+            panel: panel,
+            list: list,
+            filterBar: filterBar,
+            count: count,
+            entries: [],
+            filters: {}, // type -> false when hidden
+            collapsed: false
+        };
+    }
+
+    function createOverlayEntry(err) {
+        var message = String(err.message),
+            frames = err.frames || [],
+            el = createElement('details', overlayStyles.entry),
+            summary = createElement('summary', 'cursor:pointer;'),
+            badge = createElement('span', overlayStyles.badge),
+            stack = createElement('details'),
+            copy = createElement('button', overlayStyles.button, 'copy report'),
+            report = format(redact(buildEnvelope(err)), overlaySettings.copyFormat),
+            entry;
+
+        summary.appendChild(createElement('strong', 'color:#f88;', err.type));
+        summary.appendChild(document.createTextNode(' ' + message.split('\n')[0]));
+        badge.style.display = 'none';
+        summary.appendChild(badge);
+        el.appendChild(summary);
+
+        el.appendChild(createElement('pre', overlayStyles.pre, message));
+
+        stack.appendChild(createElement('summary', 'cursor:pointer;', 'stack (' + frames.length + ' frames)'));
+        stack.appendChild(createElement('pre', overlayStyles.pre, formatFrames(frames) || '(none)'));
+        el.appendChild(stack);
+
+        each(err.auditTrail || [], function (i, audit) {
+            var args = createElement('details');
+            args.appendChild(createElement('summary', 'cursor:pointer;', 'arguments of ' + audit.name));
+            args.appendChild(createElement('pre', overlayStyles.pre, audit.args));
+            el.appendChild(args);
+        });
+
+        copy.onclick = function () {
+            copyText(report, copy);
+        };
+        el.appendChild(copy);
+
+        entry = {
+            el: el,
+            badge: badge,
+            type: err.type,
+            key: getThrottleKey(err),
+            suppressed: 0
+        };
+        return entry;
+    }
+
+    function showInOverlay(err, suppressed) {
+        // called for every reported error; suppressed is true for duplicates held back by throttling
+        var entry,
+            i;
+
+        try {
+            if (!oopsie.dev.showOverlay || !isBrowser || isProductionConfig()) {
+                if (overlay) {
+                    removeOverlay();
+                }
+                return;
+            }
+
+            if (suppressed) {
+                if (!overlay) {
+                    return;
+                }
+                // counted on the latest entry for the same error
+                for (i = overlay.entries.length - 1; i >= 0; i--) {
+                    if (overlay.entries[i].key === getThrottleKey(err)) {
+                        entry = overlay.entries[i];
+                        entry.suppressed += 1;
+                        entry.badge.textContent = '+' + entry.suppressed + ' suppressed';
+                        entry.badge.style.display = '';
+                        break;
+                    }
+                }
+                updateOverlayHeader();
+                return;
+            }
+
+            if (!overlay) {
+                createOverlay();
+            }
+
+            entry = createOverlayEntry(err);
+            overlay.entries.push(entry);
+            overlay.list.insertBefore(entry.el, overlay.list.firstChild); // newest first
+
+            while (overlay.entries.length > overlaySettings.maxEntries) {
+                overlay.list.removeChild(overlay.entries.shift().el);
+            }
+
+            updateOverlayFilters();
+            updateOverlayHeader();
+        } catch (e) {
+            null; // a development aid must not get in the way of the report
+        }
+    }
+
+    function clearOverlay() {
+        // removes the entries, but keeps the panel
+        if (overlay) {
+            overlay.entries = [];
+            overlay.list.innerHTML = '';
+            updateOverlayFilters();
+            updateOverlayHeader();
+        }
+    }
+
+    function removeOverlay() {
+        if (overlay) {
+            if (overlay.panel.parentNode) {
+                overlay.panel.parentNode.removeChild(overlay.panel);
+            }
+            overlay = null;
+        }
+    }
+
+    //}}} end of dev overlay
+
+    //{{{ severity levels
+
+    // every error has a severity, from most to least severe:
+    //   fatal   - the app can't continue; always reported (no sampling, filtering or throttling)
+    //   error   - the default
+    //   warning - ex: assertions in 'warn' mode
+    //   info    - ex: intercepted console.warn calls
+    // the severity is set per error type (errorFactory option) and can be overridden per error:
+    // ex: oopsie.exception.errorFactory('loadError', {severity: 'fatal'});
+    //     makeError('validationError', 'unexpected input', {severity: 'warning'});
+    //
+    // reports can be routed by severity:
+    //   - severitySettings.minimum drops everything less severe
+    //   - severitySettings.sampleRates reports only a fraction of the errors of a severity; the
+    //     report gets error.sampleRate, so the real numbers can be estimated
+    //   - handlers can be limited to severities (see addHandler)
+    // ex: oopsie.severity.configure({minimum: 'warning', sampleRates: {warning: 0.1}});
+
+    var severityLevels = ['fatal', 'error', 'warning', 'info'];
+
+    var severitySettings = {
+        minimum: 'info',
+        sampleRates: {} // severity -> 0..1; severities without a rate are always reported
+    };
+
+    function configureSeverity(settings) {
+        settings = settings || {};
+        invariant(settings.minimum === undefined || isSeverity(settings.minimum), '[oopsie.severity.configure] unknown severity', settings.minimum);
+        extend(severitySettings, settings);
+        return severitySettings;
+    }
+
+    function isSeverity(severity) {
+        return inArray(severity, severityLevels) !== -1;
+    }
+
+    function compareSeverity(a, b) {
+        // < 0 if a is more severe than b, 0 if they are the same, > 0 if a is less severe
+        // unknown severities count as 'error'
+        var rankA = inArray(a, severityLevels),
+            rankB = inArray(b, severityLevels);
+        return (rankA === -1 ? 1 : rankA) - (rankB === -1 ? 1 : rankB);
+    }
+
+    function severityMatches(severity, filter) {
+        // filter can be a severity (that severity or anything more severe) or an array of severities
+        if (filter === undefined || filter === null) {
+            return true;
+        }
+        if (isArray(filter)) {
+            return inArray(severity, filter) !== -1;
+        }
+        return compareSeverity(severity, filter) <= 0;
+    }
+
+    function sample(err) {
+        // returns true if the error should be reported, based on its severity
+        var rate;
+
+        if (err.severity === 'fatal') {
+            return true;
+        }
+        if (!severityMatches(err.severity, severitySettings.minimum)) {
+            return false;
+        }
+
+        rate = severitySettings.sampleRates[err.severity];
+        if (rate === undefined || rate >= 1) {
+            return true;
+        }
+        err.sampleRate = rate;
+        return random() < rate;
+    }
+
+    //}}} end of severity levels
+
+    //{{{ throttling
+
+    // it generally isn't very helpful to report the same (or similar) error multiple times, such as
+    // a loop that throws the same error on every iteration; throttling tries to reduce this duplicate
+    // error notification
+
+    // throttling strategies (all can be combined):
+    // 1) cooldown: an error with the same key is ignored until the cooldown window has passed
+    // 2) unique message key: errors are identified by their message; optionally only the first x
+    //    characters, or the text up to a delimiter (ex: ':' or '\n'), are compared, which ignores
+    //    noise from variables in the message
+    // 3) max # of errors allowed per session, and optionally per error type
+    // 4) file/line# identity, taken from the parsed stack frames; re-throwing errors may mess this up;
+    //    the message key is used when the file/line# is unavailable
+    //
+    // suppressed errors are counted per key; the count is attached to the next error with the same
+    // key that does get reported (err.suppressedCount)
+
+    // http://help.dottoro.com/ljfhismo.php
+
+    function getLineNo(err) {
+        // lineNumber is only supported by FF; other browsers rely on the parsed stack frames
+        if (hasOwn(err, 'lineNumber')) {
+            return err.lineNumber;
+        }
+        return err.frames && err.frames.length ? err.frames[0].line : undefined;
+    }
+
+    function getFileName(err) {
+        // fileName is only supported by FF; other browsers rely on the parsed stack frames
+        if (hasOwn(err, 'fileName')) {
+            return err.fileName;
+        }
+        return err.frames && err.frames.length ? err.frames[0].file : undefined;
+    }
+
+    var throttleSettings = {
+            enabled: true,
+            cooldown: 5000,   // ms before an error with the same key can be reported again; 0 disables
+            keyBy: 'message', // 'message' or 'location' (file/line#)
+            keyLength: 0,     // only compare the first x characters of the message; 0 compares it all
+            keyDelimiter: '', // only compare the message up to (not including) this delimiter
+            maxErrors: 0,     // max # of errors reported per session; 0 is unlimited
+            maxPerType: {}    // error type -> max # of errors of that type reported per session
+        },
+        throttleState;
+
+    function resetThrottle() {
+        // forgets all previously seen errors and counts
+        throttleState = {
+            keys: {},    // key -> {lastReported: ms, suppressed: count}
+            total: 0,
+            perType: {}
+        };
+    }
+
+    resetThrottle();
+
+    function configureThrottle(settings) {
+        extend(throttleSettings, settings || {});
+        return throttleSettings;
+    }
+
+    function getThrottleKey(err) {
+        // identifies "the same" error; errors with the same key are throttled together
+        var prefix = (err.type || 'unknown') + '|',
+            file,
+            line,
+            msg,
+            pos;
+
+        if (throttleSettings.keyBy === 'location') {
+            file = getFileName(err);
+            line = getLineNo(err);
+            if (file !== undefined && line !== undefined) {
+                return prefix + file + ':' + line;
+            }
+        }
+
+        msg = String(err.message || '');
+
+        if (throttleSettings.keyDelimiter) {
+            pos = msg.indexOf(throttleSettings.keyDelimiter);
+            if (pos !== -1) {
+                msg = msg.substring(0, pos);
+            }
+        }
+
+        if (throttleSettings.keyLength > 0) {
+            msg = msg.substring(0, throttleSettings.keyLength);
+        }
+
+        return prefix + msg;
+    }
+
+    function throttle(err) {
+        // returns true if the error should be reported, false if it should be suppressed
+        if (!throttleSettings.enabled) {
+            return true;
+        }
+
+        var key = getThrottleKey(err),
+            type = err.type,
+            entry = throttleState.keys[key],
+            typeCap = throttleSettings.maxPerType[type],
+            time = now(),
+            suppress;
+
+        if (!entry) {
+            entry = throttleState.keys[key] = {
+                lastReported: null,
+                suppressed: 0
+            };
+        }
+
+        suppress = (throttleSettings.maxErrors > 0 && throttleState.total >= throttleSettings.maxErrors) ||
+            (typeCap !== undefined && (throttleState.perType[type] || 0) >= typeCap) ||
+            (throttleSettings.cooldown > 0 && entry.lastReported !== null &&
+                time - entry.lastReported < throttleSettings.cooldown);
+
+        if (suppress) {
+            entry.suppressed += 1;
+            return false;
+        }
+
+        if (entry.suppressed) {
+            err.suppressedCount = entry.suppressed;
+            entry.suppressed = 0;
+        }
+
+        entry.lastReported = time;
+        throttleState.total += 1;
+        throttleState.perType[type] = (throttleState.perType[type] || 0) + 1;
+
+        return true;
+    }
+
+    //}}} end of throttling
+
+    //{{{ breadcrumbs
+
+    // a trail of what happened leading up to an error: clicks, form submits, AJAX requests,
+    // navigation and anything the app records itself with oopsie.breadcrumb(msg, data)
+    // only the most recent breadcrumbs are kept (a ring buffer); the trail is attached to every report
+
+    var breadcrumbSettings = {
+            enabled: true,
+            maxBreadcrumbs: 30,
+            clicks: true,
+            forms: true,
+            ajax: true,
+            navigation: true
+        },
+        breadcrumbs = [],
+        nextBreadcrumb = 0; // position in the ring buffer that will be written next
+
+    function getBreadcrumbs() {
+        // oldest to newest
+        return breadcrumbs.slice(nextBreadcrumb).concat(breadcrumbs.slice(0, nextBreadcrumb));
+    }
+
+    function clearBreadcrumbs() {
+        breadcrumbs = [];
+        nextBreadcrumb = 0;
+    }
+
+    function addBreadcrumb(category, msg, data) {
+        if (!breadcrumbSettings.enabled || breadcrumbSettings.maxBreadcrumbs <= 0) {
+            return;
+        }
+
+        var crumb = {
+            timestamp: now(),
+            category: category,
+            message: msg
+        };
+        if (data !== undefined) {
+            crumb.data = data;
+        }
+
+        if (breadcrumbs.length < breadcrumbSettings.maxBreadcrumbs) {
+            breadcrumbs.push(crumb);
+        } else {
+            breadcrumbs[nextBreadcrumb] = crumb;
+        }
+        nextBreadcrumb = (nextBreadcrumb + 1) % breadcrumbSettings.maxBreadcrumbs;
+    }
+
+    function breadcrumb(msg, data) {
+        // records an app specific breadcrumb
+        addBreadcrumb('manual', msg, data);
+    }
+
+    function configureBreadcrumbs(settings) {
+        var trail = getBreadcrumbs();
+        extend(breadcrumbSettings, settings || {});
+
+        // rebuild the ring buffer, in case the size changed
+        clearBreadcrumbs();
+        trail = trail.slice(Math.max(trail.length - breadcrumbSettings.maxBreadcrumbs, 0));
+        each(trail, function (i, crumb) {
+            breadcrumbs.push(crumb);
+        });
+        nextBreadcrumb = breadcrumbSettings.maxBreadcrumbs > 0 ? breadcrumbs.length % breadcrumbSettings.maxBreadcrumbs : 0;
+
+        return breadcrumbSettings;
+    }
+
+    function describeElement(el) {
+        // a short selector for an element, ex: "form#login > button.btn.primary"
+        var parts = [],
+            depth = 0,
+            part;
+
+        while (el && el.nodeType === 1 && depth < 3) {
+            part = el.nodeName.toLowerCase();
+            if (el.id) {
+                parts.unshift(part + '#' + el.id);
+                break; // an id is specific enough
+            }
+            if (typeof(el.className) === 'string' && trim(el.className)) {
+                part += '.' + trim(el.className).split(/\s+/).slice(0, 2).join('.');
+            }
+            if (el.getAttribute('name')) {
+                part += '[name="' + el.getAttribute('name') + '"]';
+            }
+            parts.unshift(part);
+            el = el.parentNode;
+            depth += 1;
+        }
+
+        return parts.join(' > ');
+    }
+
+    function getLocation() {
+        return window.location ? window.location.href : '';
+    }
+
+    function recordHistoryMethod(name) {
+        var history = window.history,
+            original = history && history[name];
+
+        if (!isFunction(original)) {
+            return;
+        }
+
+        history[name] = function () {
+            var from = getLocation(),
+                result = original.apply(this, arguments);
+            if (breadcrumbSettings.navigation) {
+                addBreadcrumb('navigation', 'history.' + name, {from: from, to: getLocation()});
+            }
+            return result;
+        };
+    }
+
+    function installBreadcrumbRecorders() {
+        var lastLocation = getLocation();
+
+        if (!isBrowser) {
+            return;
+        }
+
+        // capture phase, so handlers that stop propagation don't hide the interaction
+        listen(document, 'click', function (e) {
+            if (breadcrumbSettings.clicks) {
+                addBreadcrumb('click', describeElement(e.target));
+            }
+        }, true);
+
+        listen(document, 'submit', function (e) {
+            if (breadcrumbSettings.forms) {
+                addBreadcrumb('submit', describeElement(e.target), {action: e.target.action});
+            }
+        }, true);
+
+        if ($) {
+            $(document).ajaxSend(function (e, xhr, settings) {
+                if (breadcrumbSettings.ajax) {
+                    addBreadcrumb('ajax', 'send', {method: settings.type, url: settings.url});
+                }
+            });
+
+            $(document).ajaxComplete(function (e, xhr, settings) {
+                if (breadcrumbSettings.ajax) {
+                    addBreadcrumb('ajax', 'complete', {method: settings.type, url: settings.url, status: xhr.status});
+                }
+            });
+        }
+
+        each(['hashchange', 'popstate'], function (i, type) {
+            listen(window, type, function (e) {
+                var to = getLocation();
+                if (breadcrumbSettings.navigation) {
+                    addBreadcrumb('navigation', e.type, {from: lastLocation, to: to});
+                }
+                lastLocation = to;
+            });
+        });
+
+        recordHistoryMethod('pushState');
+        recordHistoryMethod('replaceState');
+    }
+
+    //}}} end of breadcrumbs
+
+    //{{{ configuration and report envelope
+
+    var defaultConfig = {
+        app: 'unknown',
+        project: '',
+        xml: '',
+        release: '',     // the app's version/build; ex: '2.3.1'
+        environment: '', // ex: 'production', 'staging'
+        user: null,      // identifies the user; ex: {id: 42, name: 'jdoe'}
+        session: ''      // the app's own session identifier
+    };
+
+    var config = extend({}, defaultConfig),
+        reportContext = {}, // app specific data; merged into every report envelope
+        reportTags = {};    // short key/value labels for searching/grouping reports
+
+    function configure(settings) {
+        // ex: oopsie.configure({app: 'store', release: '2.3.1', environment: 'production', user: {id: 42}})
+        extend(config, settings || {});
+        return config;
+    }
+
+    function setKeyValue(target, key, value) {
+        // key can also be an object of key/values; an undefined value removes the key
+        if (typeof(key) === 'object' && key !== null) {
+            each(key, function (k, v) {
+                setKeyValue(target, k, v);
+            });
+        } else if (value === undefined) {
+            delete target[key];
+        } else {
+            target[key] = value;
+        }
+    }
+
+    function setContext(key, value) {
+        // ex: oopsie.setContext('cart', {items: 3}) or oopsie.setContext({cart: {items: 3}})
+        setKeyValue(reportContext, key, value);
+    }
+
+    function setTag(key, value) {
+        // ex: oopsie.setTag('feature', 'checkout')
+        setKeyValue(reportTags, key, value === undefined ? value : String(value));
+    }
+
+    function toPlainData(o) {
+        // JSON safe data, converted by the stringify translators
+        return toSafeData(o);
+    }
+
+    function getPageInfo() {
+        var el = document.documentElement || {};
+        return {
+            url: window.location ? window.location.href : '',
+            referrer: document.referrer || '',
+            userAgent: window.navigator ? window.navigator.userAgent : '',
+            viewport: {
+                width: window.innerWidth || el.clientWidth,
+                height: window.innerHeight || el.clientHeight
+            }
+        };
+    }
+
+    function getProcessInfo() {
+        return {
+            pid: process.pid,
+            version: process.version,
+            platform: process.platform
+        };
+    }
+
+    function buildEnvelope(err) {
+        // the report that is sent to the reporter:
+        // {
+        //     oopsie: '0.1',                    // oopsie version
+        //     timestamp: 1326585600000,         // ms
+        //     app: 'store', project: '', release: '2.3.1', environment: 'production',
+        //     user: {id: 42}, session: 'abc',   // from oopsie.configure()
+        //     page: {url: '...', referrer: '...', userAgent: '...', viewport: {width: 1024, height: 768}},
+        //     process: {pid: 123, version: 'v18.0.0', platform: 'linux'}, // Node.js, instead of page
+        //     error: {
+        //         id: '...', supportCode: 'OOPS-...', type: 'assertionError', severity: 'error',
+        //         message: '...', frames: [{functionName, file, line, column}, ...], suppressedCount: 0,
+        //         sampleRate: 0.1,                                                                 // only when sampled
+        //         stackTrace: '...', request: {...}, resource: {...}, scheduledFrames: [...], // only for some errors
+        //         snapshot: {...}, stateDiff: [...], auditTrail: [...],
+        //         cause: {type, message, frames, supportCode, auditTrail, cause: {...}}          // see wrap()
+        //     },
+        //     breadcrumbs: [...],
+        //     context: {...},                   // oopsie.setContext()
+        //     tags: {...}                       // oopsie.setTag()
+        // }
+        var error = {
+            id: err.oopsieId,
+            supportCode: err.supportCode,
+            type: err.type,
+            severity: err.severity,
+            message: String(err.message),
+            frames: err.frames || [],
+            suppressedCount: err.suppressedCount || 0
+        };
+
+        if (err.sampleRate !== undefined) {
+            error.sampleRate = err.sampleRate;
+        }
+
+        each(['stackTrace', 'request', 'resource', 'scheduledFrames', 'snapshot', 'stateDiff', 'auditTrail'], function (i, k) {
+            if (err[k] !== undefined) {
+                error[k] = toPlainData(err[k]);
+            }
+        });
+
+        if (err.cause !== undefined) {
+            error.cause = toPlainData(serializeCause(err));
+        }
+
+        var envelope = {
+            oopsie: VERSION,
+            timestamp: now(),
+            app: config.app,
+            project: config.project,
+            release: config.release,
+            environment: config.environment,
+            user: toPlainData(config.user),
+            session: config.session,
+            error: error,
+            breadcrumbs: err.breadcrumbs || [],
+            context: toPlainData(reportContext),
+            tags: extend({}, reportTags)
+        };
+
+        if (isBrowser) {
+            envelope.page = getPageInfo();
+        } else if (isNode) {
+            envelope.process = getProcessInfo();
+        }
+
+        return envelope;
+    }
+
+    //}}} end of configuration and report envelope
+
+    //{{{ error reporting
+
+    var reportHandlers = [], // allows special handling for specific errors; kept sorted by priority
+        handlerCount = 0,
+        defaultHandler = {
+            before: function (defer) {
+                // does nothing but resolve the defer
+                defer.resolve();
+            },
+            after: noop,
+            recover: null, // recovery policies; see oopsie.recovery
+            priority: 0
+        };
+
+    var reporterTimeout = 10000, // max ms to wait for a reporter that doesn't settle
+        reporters = [],          // see addReporter(); oopsie.report.reporter is used as well
+        reporterCount = 0,
+        processors = [];         // see addProcessor()
+
+    function addReporter(reporter, options) {
+        // adds a reporter to the pipeline; every report goes to all of the reporters it matches
+        // reporter(envelope, err[, value of the last resolved defer]) can return a promise that settles
+        // once the report has been sent
+        // options:
+        //   name      - used in the results; defaults to 'reporter' + the handle
+        //   types     - a type (also matches its subtypes), a RegExp, '*' (default) or an array of those
+        //   severity  - a severity (and anything more severe) or an array of severities
+        //   transform - function (envelope, err) returning the envelope this reporter gets, or null to
+        //               skip the report; it gets its own copy of the envelope, so it can change it
+        // returns a handle that can be passed to removeReporter()
+        // ex: oopsie.report.addReporter(oopsie.report.httpReporter({url: '/errors'}), {name: 'collector'});
+        //     oopsie.report.addReporter(pager, {name: 'pager', severity: 'fatal'});
+        invariant(isFunction(reporter), '[oopsie.report.addReporter] requires a reporter function', reporter);
+
+        reporterCount += 1;
+        reporters.push(extend({
+            types: '*',
+            severity: null,
+            transform: null
+        }, options || {}, {
+            name: (options && options.name) || 'reporter' + reporterCount,
+            id: reporterCount,
+            reporter: reporter
+        }));
+
+        return reporterCount;
+    }
+
+    function removeReporter(handle) {
+        // removes the reporter with the handle returned by addReporter(), or every reporter with the
+        // name; returns the number of reporters removed
+        var before = reporters.length;
+        reporters = grep(reporters, function (entry) {
+            return typeof(handle) === 'number' ? entry.id !== handle : entry.name !== handle;
+        });
+        return before - reporters.length;
+    }
+
+    function addProcessor(processor) {
+        // adds a stage that runs once per report, before the envelope is redacted and handed to the
+        // reporters, so every reporter gets its result; processors run in the order they were added
+        // processor(envelope, err) returns the envelope to use (it can change the one it's given), or a
+        // promise of it; a processor that throws, rejects or takes longer than reporterTimeout is skipped
+        // ex: resolving stack frames with source maps (see oopsie.sourcemap.install)
+        invariant(isFunction(processor), '[oopsie.report.addProcessor] requires a function', processor);
+        processors.push(processor);
+    }
+
+    function removeProcessor(processor) {
+        processors = grep(processors, function (p) {
+            return p !== processor;
+        });
+    }
+
+    function runProcessors(envelope, err) {
+        // returns a promise of the processed envelope; never rejected
+        var chain = resolved(envelope);
+
+        each(processors, function (i, processor) {
+            chain = chain.then(function (envelope) {
+                var result;
+                try {
+                    result = resolved(processor(envelope, err));
+                } catch (e) {
+                    return envelope;
+                }
+                return settleWithin(result, reporterTimeout).then(function (processed) {
+                    return processed || envelope;
+                }, function () {
+                    return envelope;
+                });
+            });
+        });
+
+        return chain;
+    }
+
+    function getReporters() {
+        // the registered reporters, then oopsie.report.reporter (if set)
+        var all = reporters.slice();
+        if (isFunction(oopsie.report.reporter)) {
+            all.push({
+                name: 'reporter',
+                types: '*',
+                reporter: oopsie.report.reporter
+            });
+        }
+        return all;
+    }
+
+    function copyEnvelope(envelope) {
+        // envelopes are JSON safe data
+        return JSON.parse(JSON.stringify(envelope));
+    }
+
+    function runReporter(entry, envelope, err, extraArgs) {
+        // returns a promise that is always resolved, with the result:
+        //   {reporter: name, status: 'sent', value: ...}      - returned/resolved by the reporter
+        //   {reporter: name, status: 'failed', error: ...}    - thrown/rejected (or timed out)
+        //   {reporter: name, status: 'skipped'}               - filtered out, or skipped by the transform
+        var types = getTypeChain(err.type),
+            result;
+
+        if (!typeMatches(entry.types, types) || !severityMatches(err.severity, entry.severity)) {
+            return resolved({reporter: entry.name, status: 'skipped'});
+        }
+
+        ignoreConsole += 1; // a reporter that logs mustn't start a loop; see console interception
+        try {
+            if (isFunction(entry.transform)) {
+                envelope = entry.transform(copyEnvelope(envelope), err);
+            }
+            result = envelope ? resolved(entry.reporter.apply(oopsie, [envelope, err].concat(extraArgs))) : null;
+        } catch (e) {
+            result = rejected(e);
+        } finally {
+            ignoreConsole -= 1;
+        }
+
+        if (!result) {
+            return resolved({reporter: entry.name, status: 'skipped'}); // by the transform
+        }
+
+        return settleWithin(result, reporterTimeout).then(function (value) {
+            return {reporter: entry.name, status: 'sent', value: value};
+        }, function (reason) {
+            return {reporter: entry.name, status: 'failed', error: reason};
+        });
+    }
+
+    function runReporters(err, extraArgs) {
+        // sends the report to every reporter at the same time; returns a promise that is resolved with
+        // their results (in reporter order) once all of them have settled
+        var entries = getReporters();
+
+        if (!entries.length) {
+            return resolved([]);
+        }
+
+        return runProcessors(buildEnvelope(err), err).then(function (envelope) {
+            envelope = redact(envelope);
+
+            return makePromise(function (resolve) {
+                var results = [],
+                    remaining = entries.length;
+
+                each(entries, function (i, entry) {
+                    runReporter(entry, envelope, err, extraArgs).then(function (result) {
+                        results[i] = result;
+                        remaining -= 1;
+                        if (!remaining) {
+                            resolve(results);
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    function addHandler(name, o) {
+        // adds a handler for a particular type of exception
+        // name can be:
+        //   - an error type; ex: 'assertionError'; also matches the type's subtypes
+        //   - a RegExp tested against the error type; ex: /^ajax/
+        //   - '*', which matches every error
+        // o.severity limits the handler to a severity (and anything more severe) or an array of severities;
+        // ex: addHandler('*', {severity: 'fatal', after: showErrorPage})
+        // o.after(err, results) and o.recover run once every reporter has settled; results are the
+        // per-reporter results (see runReporter)
+        // o.recover is a recovery policy (or an array of them);
+        // ex: addHandler('loadError', {recover: [oopsie.recovery.notifyUser(), oopsie.recovery.reload()]})
+        // every matching handler is used; handlers with a higher o.priority run first, handlers with
+        // the same priority run in the order they were added
+        // returns a handle that can be passed to removeHandler()
+        invariant(typeof(name) === 'string' || name instanceof RegExp, '[oopsie.report.addHandler] requires a type name, a RegExp or "*"', name);
+
+        handlerCount += 1;
+
+        var handler = extend({}, defaultHandler, o || {}, {
+            name: name,
+            id: handlerCount
+        });
+
+        reportHandlers.push(handler);
+        reportHandlers.sort(function (a, b) {
+            return (b.priority - a.priority) || (a.id - b.id);
+        });
+
+        return handler.id;
+    }
+
+    function removeHandler(handle) {
+        // removes the handler with the handle returned by addHandler(), or every handler that was
+        // added with the name (type, RegExp or '*'); returns the number of handlers removed
+        var before = reportHandlers.length;
+
+        reportHandlers = grep(reportHandlers, function (handler) {
+            if (typeof(handle) === 'number') {
+                return handler.id !== handle;
+            }
+            if (handle instanceof RegExp && handler.name instanceof RegExp) {
+                return handler.name.toString() !== handle.toString();
+            }
+            return handler.name !== handle;
+        });
+
+        return before - reportHandlers.length;
+    }
+
+    function typeMatches(filter, types) {
+        // types is the error's type followed by its ancestors, so a filter for a parent type
+        // applies to all of its subtypes
+        // filter can be a type, a RegExp, '*' or an array of those
+        if (isArray(filter)) {
+            return grep(filter, function (f) {
+                return typeMatches(f, types);
+            }).length > 0;
+        }
+        if (filter === '*') {
+            return true;
+        }
+        if (filter instanceof RegExp) {
+            return grep(types, function (type) {
+                return testRegExp(filter, type);
+            }).length > 0;
+        }
+        return inArray(filter, types) !== -1;
+    }
+
+    function handlerMatches(handler, types, severity) {
+        return severityMatches(severity, handler.severity) && typeMatches(handler.name, types);
+    }
+
+    function getHandlers(err) {
+        // all of the handlers that apply to the error, in the order they should run
+        var types = getTypeChain(err && err.type);
+        return grep(reportHandlers, function (handler) {
+            return handlerMatches(handler, types, err && err.severity);
+        });
+    }
+
+    function runBeforeHandlers(handlers, err) {
+        // chains the "before" steps: each one starts when the previous one resolved its defer
+        // ({promise, resolve, reject}); returns a promise that is resolved (with the value of the last
+        // resolve) when all of them have resolved, or rejected as soon as one of them rejects
+        var chain = resolved();
+
+        each(handlers, function (i, handler) {
+            chain = chain.then(function () {
+                var defer = createDeferred();
+                if (isFunction(handler.before)) {
+                    try {
+                        handler.before(defer, err);
+                    } catch (e) {
+                        // a broken handler shouldn't prevent the report
+                        defer.resolve();
+                    }
+                } else {
+                    defer.resolve();
+                }
+                return defer.promise;
+            });
+        });
+
+        return chain;
+    }
+
+    function settleWithin(promise, ms) {
+        // a promise that follows the given one, but is rejected if it takes longer than ms
+        return makePromise(function (resolve, reject) {
+            var timer = setTimer(function () {
+                reject(new Error('timed out after ' + ms + 'ms'));
+            }, ms);
+
+            if (timer && isFunction(timer.unref)) {
+                timer.unref(); // Node.js: a pending report mustn't keep the process running
+            }
+
+            promise.then(function (value) {
+                clearTimer(timer);
+                resolve(value);
+            }, function (reason) {
+                clearTimer(timer);
+                reject(reason);
+            });
+        });
+    }
+
+    function runAfterHandlers(handlers, err, results) {
+        // the "after" hooks, then the recovery policies of every handler, in handler order; both get the
+        // reporter results
+        var chain = resolved();
+
+        each(handlers, function (i, handler) {
+            if (isFunction(handler.after)) {
+                try {
+                    handler.after(err, results);
+                } catch (e) {
+                    null; // a broken hook shouldn't keep the others (or recovery) from running
+                }
+            }
+        });
+
+        each(handlers, function (i, handler) {
+            each(handler.recover ? [].concat(handler.recover) : [], function (j, policy) {
+                chain = chain.then(function () {
+                    return policy(err, results);
+                }).then(undefined, noop);
+            });
+        });
+
+        return chain;
+    }
+
+    function isOopsieError(err) {
+        return !!err && typeof(err) === 'object' && !!err.oopsie;
+    }
+
+    function report(err) {
+        // reports an error by hand; anything that isn't an oopsie error is converted to a javascriptError
+        // returns the promise of reportError()
+        return captureError(fromNativeError('javascriptError', err, 'unknown error'));
+    }
+
+    function reportError(err) {
+        var handlers;
+
+        // returns a promise that is resolved once the reporters are done with the error and the "after"
+        // hooks and recovery policies have run, with the reporter results (see runReporter); it is never
+        // rejected
+        if (!sample(err)) {
+            return resolved([]); // filtered out or not sampled
+        }
+
+        if (err.severity !== 'fatal' && !throttle(err)) {
+            showInOverlay(err, true);
+            return resolved([]); // a duplicate (or over the limit); it has been counted by the throttle
+        }
+
+        // the trail is serialized now, since it will keep changing while the report is pending
+        err.breadcrumbs = toPlainData(getBreadcrumbs());
+        addBreadcrumb('error', err.type, String(err.message));
+        showInOverlay(err, false);
+
+        handlers = getHandlers(err);
+
+        // allow the option for an asynchronous action to be taken before the
+        // error is passed to the reporter
+        // a rejected defer will be assumed to cancel the error report; this provides
+        // an easy mechanism for cancelation
+
+        return runBeforeHandlers(handlers, err).then(function (value) {
+            var extraArgs = value === undefined ? [] : [value];
+
+            // "after" and recovery wait for all of the reporters, so that ex: a reload doesn't lose a
+            // report that is still sitting in a client side AJAX queue
+            return runReporters(err, extraArgs).then(function (results) {
+                return runAfterHandlers(handlers, err, results).then(function () {
+                    return results;
+                });
+            });
+        }).then(undefined, function () {
+            return []; // canceled by a handler; reporting must not cause more reports
+        });
+    }
+
+    //}}}
+
+    //{{{ recovery
+
+    // recovery policies are what to do about an error once it has been reported; they are set on
+    // handlers (o.recover) and run after the reporters have settled, in order
+    // a policy is a function (err, results) that can return a promise; these are ready-made:
+    //   reload(options)             - reloads the page; stops after options.maxReloads reloads within
+    //                                 options.period and goes to options.errorPage instead
+    //   redirect(url)               - url can be a function (err) returning the url
+    //   retry(fn, options)          - calls fn(err, attempt) until it doesn't throw/reject, with an
+    //                                 exponential backoff between attempts
+    //   notifyUser(options)         - shows a (non-blocking) message, optionally with err.supportCode
+    // ex: oopsie.report.addHandler('staleDataError', {
+    //         recover: oopsie.recovery.retry(refreshData, {attempts: 3, backoff: 500})
+    //     });
+    //     oopsie.report.addHandler('*', {
+    //         severity: 'fatal',
+    //         recover: [oopsie.recovery.notifyUser(), oopsie.recovery.reload({errorPage: '/error.html'})]
+    //     });
+
+    function resolveUrl(url, err) {
+        return isFunction(url) ? url(err) : url;
+    }
+
+    function reloadPolicy(options) {
+        // options:
+        //   maxReloads - reloads allowed within the period
+        //   period     - ms
+        //   errorPage  - url (or function (err) returning one) used instead of reloading once the limit
+        //                is reached; without one, the page is left alone
+        //   storageKey - sessionStorage key where the reload times are kept
+        var opts = extend({
+            maxReloads: 3,
+            period: 5 * 60 * 1000,
+            errorPage: '',
+            storageKey: 'oopsie.reloads'
+        }, options || {});
+
+        return function oopsieReload(err) {
+            var storage = getSessionStorage(),
+                time = now(),
+                reloads = [];
+
+            if (storage) {
+                try {
+                    reloads = JSON.parse(storage.getItem(opts.storageKey)) || [];
+                } catch (e) {
+                    reloads = [];
+                }
+                reloads = grep(isArray(reloads) ? reloads : [], function (reloadTime) {
+                    return time - reloadTime < opts.period;
+                });
+            }
+
+            // without sessionStorage, a reload loop can't be detected; don't risk one
+            if (!storage || reloads.length >= opts.maxReloads) {
+                if (opts.errorPage) {
+                    redirectTo(resolveUrl(opts.errorPage, err));
+                }
+                return;
+            }
+
+            reloads.push(time);
+            try {
+                storage.setItem(opts.storageKey, JSON.stringify(reloads));
+            } catch (e) {
+                return; // the reload couldn't be counted
+            }
+            oopsie.dev.reload();
+        };
+    }
+
+    function redirectTo(url) {
+        if (url) {
+            oopsie.dev.redirect(url);
+        }
+    }
+
+    function redirectPolicy(url) {
+        return function oopsieRedirect(err) {
+            redirectTo(resolveUrl(url, err));
+        };
+    }
+
+    function retryPolicy(fn, options) {
+        // options:
+        //   attempts - max # of calls; the first one is made right away
+        //   backoff  - ms before the first retry, doubled for every retry after it; or a
+        //              function (retry) returning the ms, where retry is 1 for the first retry
+        //   maxDelay - max ms between attempts
+        // the returned promise settles with the outcome of the last attempt
+        var opts = extend({
+            attempts: 3,
+            backoff: 1000,
+            maxDelay: 30000
+        }, options || {});
+
+        invariant(isFunction(fn), '[oopsie.recovery.retry] requires a function', fn);
+
+        function getDelay(retry) {
+            if (isFunction(opts.backoff)) {
+                return opts.backoff(retry);
+            }
+            return Math.min(opts.backoff * Math.pow(2, retry - 1), opts.maxDelay);
+        }
+
+        return function oopsieRetry(err) {
+            return makePromise(function (resolve, reject) {
+                var attempt = 0;
+
+                function next() {
+                    attempt += 1;
+                    resolved().then(function () {
+                        return fn(err, attempt);
+                    }).then(resolve, function (reason) {
+                        if (attempt >= opts.attempts) {
+                            reject(reason);
+                        } else {
+                            setTimer(next, getDelay(attempt));
+                        }
+                    });
+                }
+
+                next();
+            });
+        };
+    }
+
+    var notice = null; // the notifyUser element, reused for every notification
+
+    function showNotice(text) {
+        var close;
+
+        if (!isBrowser) {
+            return;
+        }
+
+        if (!notice) {
+            notice = createElement('div', 'position:fixed;top:8px;left:50%;transform:translateX(-50%);max-width:90%;' +
+                'z-index:2147483646;padding:8px 32px 8px 12px;background:#fff3cd;color:#533f03;border:1px solid #e0c36c;' +
+                'border-radius:4px;font:14px/1.4 sans-serif;box-shadow:0 2px 6px rgba(0,0,0,.2);');
+            notice.className = 'oopsie-notice';
+            notice.setAttribute('role', 'alert');
+            notice.appendChild(createElement('span'));
+
+            close = createElement('button', 'position:absolute;top:4px;right:6px;border:0;background:none;' +
+                'font-size:16px;cursor:pointer;', '\u00d7');
+            close.setAttribute('aria-label', 'close');
+            close.onclick = removeNotice;
+            notice.appendChild(close);
+        }
+
+        notice.firstChild.textContent = text;
+        if (!notice.parentNode) {
+            (document.body || document.documentElement).appendChild(notice);
+        }
+    }
+
+    function removeNotice() {
+        if (notice && notice.parentNode) {
+            notice.parentNode.removeChild(notice);
+        }
+        notice = null;
+    }
+
+    function notifyUserPolicy(options) {
+        // options:
+        //   message         - the text shown to the user
+        //   showSupportCode - adds err.supportCode, so the user can quote it to support
+        //   notify          - function (text, err) to show the message with the app's own UI; by default a
+        //                     dismissable banner is shown at the top of the page
+        var opts = extend({
+            message: 'Something went wrong. Please try again.',
+            showSupportCode: true,
+            notify: showNotice
+        }, options || {});
+
+        return function oopsieNotifyUser(err) {
+            var text = opts.message;
+            if (opts.showSupportCode && err.supportCode) {
+                text += ' (support code: ' + err.supportCode + ')';
+            }
+            return opts.notify(text, err);
+        };
+    }
+
+    //}}} end of recovery
+
+    //{{{ global capture
+
+    // sources of errors that aren't thrown through oopsie; each one can be switched on and off:
+    //   onerror            - uncaught exceptions (window.onerror); any existing handler is still called
+    //                        in Node.js: process.on('uncaughtException')
+    //   unhandledrejection - rejected native promises without a rejection handler
+    //                        in Node.js: process.on('unhandledRejection')
+    //   ajax               - failed jQuery AJAX requests (ajaxError); requires jQuery
+    //   resource           - <script>, <img>, <link>, etc. that failed to load; browser only
+    //
+    // in browsers, every source is enabled when oopsie is loaded; in Node.js, adding process listeners
+    // changes how the process handles errors, so capture is off until the app calls
+    // oopsie.capture.enable()
+    // unless the app has its own listener for the event, the error is reported as fatal, and then Node.js'
+    // default still happens: the error is printed and the process exits with code 1, once the report has
+    // been handed off (or after nodeExitTimeout)
+
+    var captureSources = {},   // source -> {enable: fn, disable: fn}
+        enabledCaptures = {};  // source -> true
+
+    var nodeExitTimeout = 2000; // max ms to wait for the report of an uncaught exception before exiting
+
+    function captureError(err) {
+        // capture handlers run outside of the app's code; they must never throw
+        // returns the promise of the report
+        try {
+            return reportError(err);
+        } catch (e) {
+            return resolved([]);
+        }
+    }
+
+    function fromNativeError(type, error, fallbackMsg) {
+        // converts something that was thrown (or a rejection reason) into an oopsie error
+        if (isOopsieError(error)) {
+            return error;
+        }
+
+        var isObject = !!error && typeof(error) === 'object',
+            msg = fallbackMsg,
+            err,
+            frames;
+
+        if (isObject && error.message !== undefined) {
+            msg = (error.name ? error.name + ': ' : '') + error.message;
+        } else if (!isObject && error !== undefined) {
+            msg = typeof(error) === 'string' ? error : stringify(error);
+        }
+
+        err = makeError(type, msg);
+
+        // where it was actually thrown, not where it was converted; non-Error values don't have a stack
+        frames = isObject ? getFrames(error) : [];
+        err.frames = frames;
+
+        if (isObject) {
+            // added by audit(), which also works on native errors
+            each(['auditTrail', 'scheduledFrames', 'snapshot', 'stateDiff', 'cause'], function (i, k) {
+                if (error[k] !== undefined) {
+                    err[k] = error[k];
+                }
+            });
+        }
+
+        return err;
+    }
+
+    function addCaptureSource(name, enable, disable) {
+        captureSources[name] = {
+            enable: enable,
+            disable: disable
+        };
+    }
+
+    function setCapture(sources, enabled) {
+        // sources can be a source name, an array of them, or undefined for all sources
+        if (sources === undefined) {
+            sources = map(captureSources, function (source, name) {
+                return name;
+            });
+        }
+
+        each(isArray(sources) ? sources : [sources], function (i, name) {
+            invariant(hasOwn(captureSources, name), '[oopsie.capture] unknown capture source', name);
+            if (enabled && !enabledCaptures[name]) {
+                captureSources[name].enable();
+                enabledCaptures[name] = true;
+            } else if (!enabled && enabledCaptures[name]) {
+                captureSources[name].disable();
+                delete enabledCaptures[name];
+            }
+        });
+    }
+
+    function enableCapture(sources) {
+        setCapture(sources, true);
+    }
+
+    function disableCapture(sources) {
+        setCapture(sources, false);
+    }
+
+    function isCapturing(source) {
+        return !!enabledCaptures[source];
+    }
+
+    function enableDefaultCapture() {
+        // see the top of this section
+        if (isNode) {
+            disableCapture();
+        } else {
+            enableCapture();
+        }
+    }
+
+    function reportAndExit(err, error) {
+        // Node.js only: what Node.js does for an uncaught error without any listeners, once it has
+        // been reported
+        var exit = function () {
+                process.exit(1);
+            },
+            report;
+
+        err.severity = 'fatal'; // the process is about to exit
+        report = captureError(err);
+
+        process.stderr.write(((error && error.stack) || String(error)) + '\n');
+        process.exitCode = 1;
+        setTimer(exit, nodeExitTimeout);
+        report.then(exit, exit);
+    }
+
+    (function () {
+        var previousOnError = null,
+            onError = function (msg, url, line, column, error) {
+                // newer browsers provide the column and the actual error object
+                var err = error ? error : retrieveError(msg);
+
+                if (!isOopsieError(err)) {
+                    if (error) {
+                        err = fromNativeError('javascriptError', error, msg);
+                    } else {
+                        // did not find an oopsie error, so create one
+                        err = makeError('javascriptError', [msg, url, line].join('\n'));
+                        err.frames = [{functionName: 'anonymous', file: url, line: line, column: column}];
+                    }
+                }
+
+                captureError(err);
+
+                if (isFunction(previousOnError)) {
+                    return previousOnError.apply(this, arguments);
+                }
+                return false;
+            };
+
+        function onUncaughtException(error) {
+            var err = fromNativeError('javascriptError', error, 'uncaught exception');
+
+            if (process.listeners('uncaughtException').length > 1) {
+                captureError(err);
+                return; // the app has its own handler, which decides whether the process keeps running
+            }
+
+            reportAndExit(err, error);
+        }
+
+        if (isNode) {
+            addCaptureSource('onerror', function () {
+                process.on('uncaughtException', onUncaughtException);
+            }, function () {
+                process.removeListener('uncaughtException', onUncaughtException);
+            });
+            return;
+        }
+
+        addCaptureSource('onerror', function () {
+            previousOnError = window.onerror;
+            window.onerror = onError;
+        }, function () {
+            if (window.onerror === onError) {
+                window.onerror = previousOnError;
+            }
+            previousOnError = null;
+        });
+    })();
+
+    (function () {
+        function onRejection(e) {
+            var reason = e.reason !== undefined ? e.reason : (e.detail && e.detail.reason); // some polyfills use .detail
+            captureError(fromNativeError('unhandledRejection', reason, 'unhandled promise rejection'));
+        }
+
+        function onNodeRejection(reason) {
+            var err = fromNativeError('unhandledRejection', reason, 'unhandled promise rejection');
+
+            if (process.listeners('unhandledRejection').length > 1) {
+                captureError(err);
+                return; // the app has its own handler, which decides whether the process keeps running
+            }
+
+            reportAndExit(err, reason);
+        }
+
+        if (isNode) {
+            addCaptureSource('unhandledrejection', function () {
+                process.on('unhandledRejection', onNodeRejection);
+            }, function () {
+                process.removeListener('unhandledRejection', onNodeRejection);
+            });
+            return;
+        }
+
+        addCaptureSource('unhandledrejection', function () {
+            if (window.addEventListener) {
+                window.addEventListener('unhandledrejection', onRejection, false);
+            }
+        }, function () {
+            if (window.removeEventListener) {
+                window.removeEventListener('unhandledrejection', onRejection, false);
+            }
+        });
+    })();
+
+    (function () {
+        function onAjaxError(e, xhr, settings, thrownError) {
+            if (xhr.statusText === 'abort') {
+                return; // aborted on purpose
+            }
+
+            var request = {
+                    method: settings.type,
+                    url: settings.url,
+                    status: xhr.status,
+                    statusText: xhr.statusText
+                },
+                err = makeError('ajaxError', [
+                    request.method + ' ' + request.url + ' failed',
+                    request.status + ' ' + request.statusText,
+                    thrownError ? String(thrownError) : ''
+                ].join('\n'));
+
+            err.request = request;
+            err.frames = []; // the stack would only show oopsie's event handler
+            captureError(err);
+        }
+
+        addCaptureSource('ajax', function () {
+            if ($ && isBrowser) {
+                $(document).on('ajaxError', onAjaxError);
+            }
+        }, function () {
+            if ($ && isBrowser) {
+                $(document).off('ajaxError', onAjaxError);
+            }
+        });
+    })();
+
+    (function () {
+        function onResourceError(e) {
+            // load errors don't bubble, but can be seen during the capture phase; runtime errors are
+            // also dispatched on window, which are left to the onerror source
+            var el = e.target,
+                url,
+                err;
+
+            if (!el || el === window || !el.nodeName) {
+                return;
+            }
+
+            url = el.src || el.href || '';
+            err = makeError('resourceError', 'failed to load <' + el.nodeName.toLowerCase() + '> ' + url);
+            err.resource = {
+                element: describeElement(el),
+                url: url
+            };
+            err.frames = []; // the stack would only show oopsie's event handler
+            captureError(err);
+        }
+
+        addCaptureSource('resource', function () {
+            if (isBrowser && window.addEventListener) {
+                window.addEventListener('error', onResourceError, true);
+            }
+        }, function () {
+            if (isBrowser && window.removeEventListener) {
+                window.removeEventListener('error', onResourceError, true);
+            }
+        });
+    })();
+
+    //}}} end of global capture
+
+    //{{{ console interception
+
+    // opt-in: records console.error/console.warn calls as low severity errors (consoleError and
+    // consoleWarning), with the arguments stringified into the message; the console output itself
+    // is unchanged
+    // ex: oopsie.capture.interceptConsole();                 // both
+    //     oopsie.capture.interceptConsole({warn: false});    // console.error only
+
+    var consolePatches = {}, // method -> original
+        consoleTypes = {
+            error: 'consoleError',
+            warn: 'consoleWarning'
+        },
+        ignoreConsole = 0,          // > 0 while oopsie itself is calling a reporter
+        pendingConsoleMessages = []; // messages of console reports that haven't settled yet
+
+    // a reporter that logs while it is called is ignored (ignoreConsole); one that logs later (ex: once its
+    // request fails) logs the same message for the report of its own message, which is skipped while that
+    // report is still pending (and is otherwise left to the throttle), so it can't start a loop either
+    // everything else the app logs is recorded, also while other reports are pending
+
+    function consoleMessage(args) {
+        return map(toArray.apply({}, args), function (arg) {
+            if (typeof(arg) === 'string') {
+                return arg;
+            }
+            if (arg instanceof Error || getClass(arg) === 'Error') {
+                return (arg.name ? arg.name + ': ' : '') + arg.message;
+            }
+            return stringify(arg);
+        }).join(' ');
+    }
+
+    function interceptConsole(options) {
+        // options: {error: true, warn: true}
+        var opts = extend({
+                error: true,
+                warn: true
+            }, options || {}),
+            console = window.console;
+
+        if (!console) {
+            return;
+        }
+
+        each(consoleTypes, function (method, type) {
+            var original = console[method];
+
+            if (!opts[method] || hasOwn(consolePatches, method) || !isFunction(original)) {
+                return;
+            }
+
+            consolePatches[method] = original;
+            console[method] = function oopsieConsole() {
+                var result = original.apply(this, arguments),
+                    msg;
 
-    function stringify(o) {
-        try {
-            return JSON.stringify(o, circularRefSafeTranslate(), '');
-        } catch (err) {
-            return 'stringify error: ' + err.message;
-        }
+                if (!ignoreConsole) {
+                    ignoreConsole += 1;
+                    try {
+                        msg = consoleMessage(arguments);
+                        if (inArray(msg, pendingConsoleMessages) === -1) {
+                            pendingConsoleMessages.push(msg);
+                            captureError(makeError(type, msg)).then(function () {
+                                pendingConsoleMessages.splice(inArray(msg, pendingConsoleMessages), 1);
+                            });
+                        }
+                    } catch (e) {
+                        null;
+                    }
+                    ignoreConsole -= 1;
+                }
+
+                return result;
+            };
+        });
     }
 
-    //}}} end of stringify methods
+    function restoreConsole() {
+        var console = window.console;
+        each(consolePatches, function (method, original) {
+            console[method] = original;
+        });
+        consolePatches = {};
+    }
 
-    //{{{ introspection functions
+    //}}} end of console interception
 
-    var privateRegEx = /^(_)+/; // a name starting with an underscore indicates "private"
+    //{{{ http reporter
 
-    function filterObject(obj, filter) {
-        // returns a key/value object of all of the k/v from the obj that are true for the filter
-        var filtered = {};
+    // a ready-made reporter that queues reports, sends them in batches and retries failed
+    // requests with an exponential backoff
+    // queued reports are kept in localStorage, so they survive a reload; anything still queued
+    // when the page is unloaded is sent with navigator.sendBeacon (where supported)
+    //
+    // ex: oopsie.report.reporter = oopsie.report.httpReporter({url: '/errors'});
+    //     oopsie.report.addReporter(oopsie.report.httpReporter({url: '/errors/fatal'}), {severity: 'fatal'});
+    //
+    // the request body is produced by the formatter named by the format option; for 'json' it is
+    // {"reports": [...]}
 
-        $.each(instance, function (k, v) {
-            if (filter(k, v)) {
-                filtered[k] = v;
-            }
-        });
+    var defaultHttpReporterOptions = {
+        url: '',
+        batchSize: 10,           // max # of reports sent per request
+        flushDelay: 1000,        // ms to wait for more reports before sending a batch
+        maxQueue: 100,           // max # of queued reports; the oldest are dropped first
+        maxRetries: 5,           // failed batches are retried this many times before giving up until the next report/page load
+        retryDelay: 1000,        // ms before the first retry; doubles with every retry
+        maxRetryDelay: 60000,
+        format: 'json',          // the formatter (see oopsie.tostring.addFormatter) used for the request body
+        storageKey: null,        // localStorage key; defaults to 'oopsie.reportQueue:' + url, so every reporter
+                                 // keeps its own queue; set to '' to disable persistence
+        beacon: true,            // send the remaining queue with navigator.sendBeacon on page unload
+        headers: {}
+    };
 
-        return filtered;
+    function getLocalStorage() {
+        // accessing localStorage can throw (ex: disabled cookies, sandboxed frames)
+        try {
+            return window.localStorage || null;
+        } catch (e) {
+            return null;
+        }
     }
 
-    var getPublicMethods = (function () {
-        function filter(key, value) {
-            return $.isFunction(value) && !privateRegExp.test(key);
+    function getSessionStorage() {
+        try {
+            return window.sessionStorage || null;
+        } catch (e) {
+            return null;
         }
+    }
 
-        return function getPublicMethods(obj) {
-            return filterObj(obj, filter);
-        };
-    });
+    function sendRequest(request) {
+        // POSTs request.data to request.url; returns a promise
+        // uses jQuery when it is loaded, otherwise XMLHttpRequest or fetch (ex: Node.js 18+)
+        var headers = extend({'Content-Type': request.contentType}, request.headers);
 
-    var getPrivateMethods = (function () {
-        function filter(key, value) {
-            return $.isFunction(value) && privateRegExp.test(key);
+        if ($ && isFunction($.ajax)) {
+            return makePromise(function (resolve, reject) {
+                $.ajax({
+                    url: request.url,
+                    type: 'POST',
+                    contentType: request.contentType,
+                    data: request.data,
+                    headers: request.headers,
+                    global: false // don't trigger global ajax events; reporting should be invisible to the app
+                }).then(resolve, reject);
+            });
         }
 
-        return function getPrivateMethods(obj) {
-            return filterObj(obj, filter);
-        };
-    });
+        if (isFunction(window.XMLHttpRequest)) {
+            return makePromise(function (resolve, reject) {
+                var xhr = new window.XMLHttpRequest();
+                xhr.open('POST', request.url, true);
+                each(headers, function (name, value) {
+                    xhr.setRequestHeader(name, value);
+                });
+                xhr.onreadystatechange = function () {
+                    if (xhr.readyState === 4) {
+                        (xhr.status >= 200 && xhr.status < 300 ? resolve : reject)(xhr);
+                    }
+                };
+                xhr.send(request.data);
+            });
+        }
 
-    var getAllMethods = (function () {
-        function filter(key, value) {
-            return $.isFunction(value);
+        if (isFunction(window.fetch)) {
+            return window.fetch(request.url, {
+                method: 'POST',
+                headers: headers,
+                body: request.data
+            }).then(function (response) {
+                if (!response.ok) {
+                    throw new Error(response.status + ' ' + response.statusText);
+                }
+                return response;
+            });
         }
 
-        return function getAllMethods(obj) {
-            return filterObj(obj, filter);
-        };
-    });
+        return rejected(new Error('[oopsie.report.httpReporter] no way to send requests'));
+    }
 
-    var getPublicProperties = (function () {
-        function filter(key, value) {
-            return !$.isFunction(value) && !privateRegExp.test(key);
+    function createHttpReporter(options) {
+        var opts = extend({}, defaultHttpReporterOptions, options || {}),
+            storage,
+            queue = [],
+            waiting = [], // {envelope, resolve, reject} for the promises returned by reporter()
+            timer = null,
+            inFlight = null, // {batch, promise} of the request that is being sent
+            attempts = 0;
+
+        invariant(opts.url, '[oopsie.report.httpReporter] requires a url', options);
+        if (opts.storageKey === null) {
+            opts.storageKey = 'oopsie.reportQueue:' + opts.url;
         }
+        storage = opts.storageKey ? getLocalStorage() : null;
+        getFormatter(opts.format); // fail early on an unknown formatter
 
-        return function getPublicProperties(obj) {
-            return filterObj(obj, filter);
-        };
-    });
+        function load() {
+            var stored;
+            if (storage) {
+                try {
+                    stored = JSON.parse(storage.getItem(opts.storageKey));
+                } catch (e) {
+                    stored = null;
+                }
+            }
+            return isArray(stored) ? stored : [];
+        }
 
-    var getPrivateProperties = (function () {
-        function filter(key, value) {
-            return !$.isFunction(value) && privateRegExp.test(key);
+        function save() {
+            if (storage) {
+                try {
+                    if (queue.length) {
+                        storage.setItem(opts.storageKey, JSON.stringify(queue));
+                    } else {
+                        storage.removeItem(opts.storageKey);
+                    }
+                } catch (e) {
+                    null; // quota exceeded, etc.; the reports are still queued in memory
+                }
+            }
         }
 
-        return function getPrivateProperties(obj) {
-            return filterObj(obj, filter);
-        };
-    });
+        function without(envelopes) {
+            // the queue minus envelopes; the queue can change while a request is in flight
+            return grep(queue, function (envelope) {
+                return inArray(envelope, envelopes) === -1;
+            });
+        }
 
-    var getAllProperties = (function () {
-        function filter(key, value) {
-            return !$.isFunction(value);
+        function settle(envelopes, reason) {
+            // settles the promises of the envelopes; rejected if a reason is given
+            waiting = grep(waiting, function (waiter) {
+                if (inArray(waiter.envelope, envelopes) === -1) {
+                    return true;
+                }
+                if (reason) {
+                    waiter.reject(reason);
+                } else {
+                    waiter.resolve();
+                }
+                return false;
+            });
         }
 
-        return function getAllProperties(obj) {
-            return filterObj(obj, filter);
-        };
-    });
+        function schedule(delay) {
+            if (timer === null) {
+                timer = setTimer(function () {
+                    flush().then(undefined, noop); // failures are retried; they mustn't end up as unhandled rejections
+                }, delay);
+            }
+        }
 
-    //}}} end of introspection functions
+        function getRetryDelay() {
+            return Math.min(opts.retryDelay * Math.pow(2, attempts - 1), opts.maxRetryDelay);
+        }
 
-    //{{{ audit wrappers
+        function flush() {
+            // sends the next batch; returns a promise that is resolved once it has been sent
+            // while a batch is being sent, returns the promise of that batch
+            var batch;
 
-    function audit(name, fn, context) {
-        // wraps a function with a try/catch layer that will add information to the error message in the
-        // event of an error being thrown
-        // added information:
-        //   arguments
-        //   toString() of the context object
+            if (timer !== null) {
+                clearTimer(timer);
+                timer = null;
+            }
 
-        context = context || {};
+            if (inFlight) {
+                return inFlight.promise;
+            }
+            if (!queue.length) {
+                return resolved();
+            }
 
-        return function () {
-            try {
-                return fn.apply(context, arguments);
-            } catch (err) {
-                try {
-                    var newError = err, // jshint doesn't like modifying the error object, so we get around it like this
-                        msg;
+            batch = queue.slice(0, opts.batchSize);
 
-                    if (typeof(newError) !== 'object') {
-                        // it's possible to throw non-Error objects
-                        // convert to a proper Error object
-                        newError = makeError('oopsieError', msg);
-                    }
+            inFlight = {batch: batch};
+            inFlight.promise = sendRequest({
+                url: opts.url,
+                contentType: getFormatter(opts.format).contentType,
+                data: formatBatch(batch, opts.format),
+                headers: opts.headers
+            }).then(function () {
+                inFlight = null;
+                attempts = 0;
+                queue = without(batch);
+                save();
+                settle(batch);
+                if (queue.length) {
+                    schedule(0);
+                }
+            }, function (reason) {
+                inFlight = null;
+                attempts += 1;
+                if (attempts <= opts.maxRetries) {
+                    schedule(getRetryDelay());
+                }
+                // else leave the batch queued (and persisted) for the next report or page load
+                settle(batch, reason || new Error('request failed'));
+                throw reason;
+            });
 
-                    msg = [
-                        newError.message,
-                        '[' + name + ']',
-                        'Arguments:',
-                        stringify(arguments),
-                        'toString:',
-                        (context).toString()
-                    ].join('\n');
-                    newError.message = message;
-                    throw newError;
-                } catch (err2) {
-                    // under no circumstances should we allow the error reporting to break things; better to lose some
-                    // debugging information than to throw a different exception
-                    throw err; // throw the original error
+            return inFlight.promise;
+        }
+
+        function sendBeacon() {
+            // the batch that is in flight isn't included; it would be sent twice if its request completes
+            var unsent = inFlight ? without(inFlight.batch) : queue.slice();
+
+            if (!unsent.length || !opts.beacon || !window.navigator || !isFunction(window.navigator.sendBeacon)) {
+                return;
+            }
+            try {
+                if (window.navigator.sendBeacon(opts.url, formatBatch(unsent, opts.format))) {
+                    queue = without(unsent);
+                    save();
+                    settle(unsent);
                 }
+            } catch (e) {
+                null; // the queue is still persisted
+            }
+        }
+
+        function reporter(envelope) {
+            // returns a promise that is resolved once the report has been sent, or rejected when sending
+            // it failed (it stays queued for a retry) or it was dropped from a full queue
+            var sent = makePromise(function (resolve, reject) {
+                waiting.push({
+                    envelope: envelope,
+                    resolve: resolve,
+                    reject: reject
+                });
+            });
+
+            queue.push(envelope);
+            if (queue.length > opts.maxQueue) {
+                settle(queue.splice(0, queue.length - opts.maxQueue), new Error('dropped from a full queue'));
+            }
+            save();
+            if (attempts > opts.maxRetries) {
+                attempts = 0; // give the endpoint another chance
+            }
+            if (!inFlight) {
+                schedule(queue.length >= opts.batchSize ? 0 : opts.flushDelay);
             }
+
+            return sent;
+        }
+
+        reporter.flush = flush;
+        reporter.getQueue = function () {
+            return queue.slice();
         };
-    }
 
-    function auditMethods(obj, prefix, filter) {
-        // wraps methods with handlers that will add verbose error messages
-        // in the event of an error
-        // prefix - (optional) allows a prefix to be included before the name;
-        //   ex: prefix = "Archive"
-        //     verbose messages would then print the function name as: "Archive.log", "Archive.add", etc;
-        //     if no prefix was provided, the names would just be "log", "add", etc.
-        prefix = prefix || '';
-        filter = filter || getAllMethods;
-        var methods = filter(obj);
+        // pagehide also fires when the page goes into the back/forward cache, unload doesn't
+        if (isBrowser) {
+            listen(window, 'onpagehide' in window ? 'pagehide' : 'unload', sendBeacon);
+        }
 
-        if (prefix) {
-            // only want one '.' at the end
-            prefix = prefix.replace(/(\.)+$/, ''); // remove all trailing '.'
-            prefix += '.';
+        queue = load();
+        if (queue.length) {
+            schedule(opts.flushDelay); // reports left over from a previous page
         }
 
-        $.each(methods, function (name, fn) {
-            obj[name] = audit(prefix + name, fn, obj);
-        });
+        return reporter;
     }
 
-    function auditPublicMethods(obj, prefix) {
-        auditMethods(obj, prefix, getPublicMethods);
-    }
+    //}}} end of http reporter
 
-    function auditPrivateMethods(obj, prefix) {
-        auditMethods(obj, prefix, getPrivateMethods);
-    }
+    //{{{ testing
 
-    //}}} end of audit wrappers
+    // helpers for unit testing code that uses oopsie (and oopsie itself)
+    // ex: oopsie.testing.install();          // in-memory reporter, synchronous promises, fake clock
+    //     checkout({});                      // some code that reports an error
+    //     oopsie.testing.expectReported('validationError', /missing address/);
+    //     oopsie.testing.clock.tick(5000);   // ex: past the throttle cooldown
+    //     oopsie.testing.reset();            // between tests
+    //     oopsie.testing.uninstall();        // when done
+    //
+    // the fake clock only controls oopsie's own timers and timestamps, not the global setTimeout/Date;
+    // likewise, useRandom() only controls oopsie's sampling, not Math.random
 
-    //{{{ asserting
+    var initialState = null, // built-in factories, translators, formatters and settings; see saveInitialState()
+        memoryReporter = null,
+        previousReporter = null;
 
-    function assert(bool) {
-        // it's recommended that a message is included in the assert
-        // ex: assert(bool, 'some message')
-        // all arguments after "bool" will be treated as message arguments; they
-        // will only be evaluated and included if the assertion fails
-        if (!bool) {
-            var msgArgs = Array.prototype.slice.call(arguments, 1),
-                msg = [],
-                err;
+    function copySettings(settings) {
+        // one level deeper than extend(), so nested arrays/objects aren't shared with the original
+        var copy = {};
+        each(settings, function (k, v) {
+            copy[k] = isArray(v) ? v.slice() : isPlainObject(v) ? extend({}, v) : v;
+        });
+        return copy;
+    }
 
-            for (var i = 0, len = msgArgs.length; i < len; i++) {
-                msg[msg.length] = stringify(msgArgs[i]);
+    function restoreSettings(settings, saved) {
+        var k;
+        for (k in settings) {
+            if (hasOwn(settings, k)) {
+                delete settings[k];
             }
+        }
+        extend(settings, copySettings(saved));
+    }
+
+    function getSettingsObjects() {
+        return {
+            registry: registrySettings,
+            redaction: redactionSettings,
+            stringify: stringifySettings,
+            assertion: assertionSettings,
+            overlay: overlaySettings,
+            throttle: throttleSettings,
+            breadcrumb: breadcrumbSettings,
+            severity: severitySettings
+        };
+    }
+
+    function saveInitialState() {
+        initialState = {
+            factories: extend({}, errorFactories),
+            translators: extend({}, translators),
+            formatters: extend({}, formatters),
+            settings: {}
+        };
+        each(getSettingsObjects(), function (name, settings) {
+            initialState.settings[name] = copySettings(settings);
+        });
+    }
 
-            msg = msg.join('\n');
+    function resetState() {
+        // puts oopsie back the way it was loaded: the error registry, handlers, factories, translators,
+        // formatters, settings, configuration, breadcrumbs, throttling, async auditing, capture and console
+        // interception
+        // the reporter, clock and promise mode are left alone; see uninstall()
+        errorFactories = extend({}, initialState.factories);
+        translators = extend({}, initialState.translators);
+        formatters = extend({}, initialState.formatters);
+        each(getSettingsObjects(), function (name, settings) {
+            restoreSettings(settings, initialState.settings[name]);
+        });
 
-            if (oopsie.dev.alertOnAssertFailure) {
-                oopsie.dev.alert(msg);
-            }
+        config = extend({}, defaultConfig);
+        reportContext = {};
+        reportTags = {};
+        reportHandlers = [];
+        reporters = [];
+        processors = [];
 
-            if (oopsie.dev.debugOnAssertFailure) {
-                oopsie.dev.debug();
-            }
+        clearRegistry();
+        clearBreadcrumbs();
+        resetThrottle();
+        disableAsyncAudit();
+        restoreConsole();
+        enableDefaultCapture();
+        removeOverlay();
+        removeNotice();
 
-            throw makeError('assertionError', msg);
+        oopsie.dev.alertOnAssertFailure = false;
+        oopsie.dev.debugOnAssertFailure = false;
+        oopsie.dev.showOverlay = false;
+
+        if (memoryReporter) {
+            memoryReporter.clear();
         }
     }
 
-    function fail() {
-        // same as assert(false, msg)
-        assert.apply(this, [false].concat(Array.prototype.slice.call(arguments)));
+    function createMemoryReporter() {
+        // a reporter that keeps the report envelopes in memory; reporter.reports, reporter.clear()
+        var reporter = function (envelope) {
+            reporter.reports.push(envelope);
+        };
+        reporter.reports = [];
+        reporter.clear = function () {
+            reporter.reports = [];
+        };
+        return reporter;
     }
 
-    //}}} end of asserting
+    function createFakeClock(start) {
+        // a clock that only moves when told to:
+        //   now()     - the current (fake) time in ms
+        //   tick(ms)  - moves the time forward, running the timers that are due on the way
+        //   runAll()  - runs timers until none are left (intervals keep it from ever finishing, so it gives up)
+        //   pending() - # of scheduled timers
+        var time = start === undefined ? 0 : start,
+            timers = [],
+            timerCount = 0,
+            clock = {};
 
-    //{{{ dev utilities
+        function nextTimer(until) {
+            // the earliest timer due at or before until; timers due at the same time run in the order they were set
+            var next = null;
+            each(timers, function (i, timer) {
+                if (timer.at <= until && (!next || timer.at < next.at || (timer.at === next.at && timer.id.oopsieFakeTimer < next.id.oopsieFakeTimer))) {
+                    next = timer;
+                }
+            });
+            return next;
+        }
 
-    // generally, these are helpers to native functionality that is difficult to mock out
-    // during unit tests; the helpers make it much easier to mock out or spy on
+        function run(timer) {
+            time = Math.max(time, timer.at);
+            if (timer.interval) {
+                timer.at += timer.interval;
+            } else {
+                clock.cancel(timer.id);
+            }
+            timer.fn();
+        }
 
-    function alert(msg) {
-        window.alert(msg);
-    }
+        clock.schedule = function (fn, delay, repeat) {
+            delay = Math.max(Number(delay) || 0, 0);
+            timerCount += 1;
+            var id = {oopsieFakeTimer: timerCount};
+            timers.push({
+                id: id,
+                fn: fn,
+                at: time + delay,
+                interval: repeat ? Math.max(delay, 1) : 0
+            });
+            return id;
+        };
 
-    function debug() {
-        debugger; // intentional; not a forgotten debugger statement :)
-    }
+        clock.cancel = function (id) {
+            timers = grep(timers, function (timer) {
+                return timer.id !== id;
+            });
+        };
 
-    function reload() {
-        window.location.reload();
-    }
+        clock.now = function () {
+            return time;
+        };
 
-    //}}} end of dev utilities
+        clock.tick = function (ms) {
+            var until = time + (ms || 0),
+                timer;
+            while ((timer = nextTimer(until))) {
+                run(timer);
+            }
+            time = until;
+            return time;
+        };
 
-    //{{{ throttling
+        clock.runAll = function (limit) {
+            var count = 0,
+                timer;
+            limit = limit || 1000;
+            while ((timer = nextTimer(Infinity))) {
+                count += 1;
+                invariant(count <= limit, '[oopsie.testing.clock.runAll] more than ' + limit + ' timers; an interval that is never cleared?');
+                run(timer);
+            }
+            return time;
+        };
 
-    // it generally isn't very helpful to report the same (or similar) error multiple times, such as
-    // a loop that throws the same error on every iteration; throttling tries to reduce this duplicate
-    // error notification
+        clock.pending = function () {
+            return timers.length;
+        };
 
-    // TODO: potential throttling strategies
-    // 1) cooldown
-    // 2) unique message string
-    //   a) check x number of characters OR up to a delimiter (ex: ':' or '\n')
-    //   b) try to calculate a similarity value, which would ignore noise from variables in the message
-    // 3) max # of errors allowed (can combine with a cooldown strategy)
-    // 4) use file/line# to identify unique errors; re-throwing errors may mess this up; LACK OF CROSS-BROWSER SUPPORT
+        return clock;
+    }
 
-    // http://help.dottoro.com/ljfhismo.php
+    function useFakeClock(start) {
+        // replaces oopsie's clock and timers; returns the clock (also available as oopsie.testing.clock)
+        fakeClock = createFakeClock(start);
+        oopsie.testing.clock = fakeClock;
+        return fakeClock;
+    }
 
-    function getLineNo(err) {
-        // lineNumber is only supported by FF
-        return hasOwn(err, 'lineNumber') ? err.lineNumber : undefined;
+    function useRealClock() {
+        fakeClock = null;
+        oopsie.testing.clock = null;
     }
 
-    function getFileName(err) {
-        // fileName is only supported by FF
-        return hasOwn(err, 'fileName') ? err.fileName : undefined;
+    function useRandom(source) {
+        // replaces the random numbers oopsie uses for sampling; source can be a number (always returned),
+        // an array of numbers (returned in turn, repeating) or a function; null restores Math.random
+        // ex: oopsie.testing.useRandom(0);   // everything is sampled
+        //     oopsie.testing.useRandom(0.99); // only severities with a sample rate of 1 are reported
+        var i = 0;
+
+        if (source === null || source === undefined) {
+            fakeRandom = null;
+        } else if (isFunction(source)) {
+            fakeRandom = source;
+        } else if (isArray(source)) {
+            invariant(source.length, '[oopsie.testing.useRandom] requires at least one number');
+            fakeRandom = function () {
+                var n = source[i % source.length];
+                i += 1;
+                return n;
+            };
+        } else {
+            invariant(typeof(source) === 'number', '[oopsie.testing.useRandom] requires a number, an array or a function', source);
+            fakeRandom = function () {
+                return source;
+            };
+        }
     }
 
+    function useSyncPromises(enabled) {
+        // in synchronous mode, errors are handed to the reporter before the call that reported them
+        // returns, so tests don't have to wait
+        syncPromises = enabled === undefined ? true : !!enabled;
+    }
 
-    //}}} end of throttling
+    function install(options) {
+        // options: {syncPromises: true, fakeClock: true, startTime: 0}
+        // returns the in-memory reporter
+        var opts = extend({
+            syncPromises: true,
+            fakeClock: true,
+            startTime: 0
+        }, options || {});
 
-    //{{{ error reporting
+        if (!memoryReporter) {
+            previousReporter = oopsie.report.reporter;
+            memoryReporter = createMemoryReporter();
+        }
+        oopsie.report.reporter = memoryReporter;
 
-    var reportHandlers = {}, // allows special handling for specific errors
-        defaultHandler = {
-            before: function (defer) {
-                // does nothing but resolve the defer
-                defer.resolve();
-            },
-            after: $.noop
-        };
+        useSyncPromises(opts.syncPromises);
+        if (opts.fakeClock) {
+            useFakeClock(opts.startTime);
+        }
 
-    // TODO: make handler names act as Regular Expressions, plus support an '*' (all)
-    function addHandler(name, o) {
-        // adds a handler for a particular type of exception
-        var handler = $.extend({}, defaultHandler, o || {});
-        reportHandlers[name] = handler;
+        return memoryReporter;
     }
 
-    function isOopsieError(err) {
-        return $.type(err) === 'object' && err.oopsie;
+    function uninstall() {
+        // restores the reporter that was set before install(), the real clock, Math.random and native
+        // promises
+        if (memoryReporter) {
+            oopsie.report.reporter = previousReporter;
+            memoryReporter = null;
+            previousReporter = null;
+        }
+        useRealClock();
+        useRandom(null);
+        useSyncPromises(false);
     }
 
-    function reportError(err) {
-        var handler,
-            defer;
+    function getReports() {
+        invariant(memoryReporter, '[oopsie.testing] call oopsie.testing.install() first');
+        return memoryReporter.reports.slice();
+    }
 
-        try {
-            handler = reportHandlers[err.type];
-        } catch (e) {
-            null;
-        } finally {
-            handler = $.extend({}, defaultHandler, handler || {});
-        }
+    function lastReport() {
+        var reports = getReports();
+        return reports[reports.length - 1];
+    }
 
-        defer = new $.Deferred();
+    function clearReports() {
+        getReports();
+        memoryReporter.clear();
+    }
 
-        // allow the option for an asynchronous action to be taken before the
-        // error is passed to the reporter
-        // a rejected defer will be assumed to cancel the error report; this provides
-        // an easy mechanism for cancelation
+    function reportMatches(report, type, matcher) {
+        // type also matches subtypes; matcher can be:
+        //   a string  - contained in the message
+        //   a RegExp  - tested against the message
+        //   a function - called with the report envelope
+        //   an object - properties of report.error that have to be (deep) equal; ex: {severity: 'warning'}
+        var error = report.error,
+            k;
 
-        defer.done(function () {
-            var extraArgs = toArray.apply({}, arguments);
-            oopsie.report.apply(oopsie, [err].concat(extraArgs));
-            // TODO: might want to make the "after" fire after the reporter has finished;
-            // don't want an "after" action reloading the browser while the error report
-            // is still sitting in a client side AJAX queue
-            if ($.isFunction(handler['after'])) {
-                handler['after']();
+        if (type && inArray(type, getTypeChain(error.type)) === -1 && error.type !== type) {
+            return false;
+        }
+        if (matcher === undefined || matcher === null) {
+            return true;
+        }
+        if (typeof(matcher) === 'string') {
+            return String(error.message).indexOf(matcher) !== -1;
+        }
+        if (getClass(matcher) === 'RegExp') {
+            return testRegExp(matcher, String(error.message));
+        }
+        if (isFunction(matcher)) {
+            return !!matcher(report);
+        }
+        for (k in matcher) {
+            if (hasOwn(matcher, k) && !isDeepEqual(error[k], matcher[k])) {
+                return false;
             }
-        });
-
-        if ($.isFunction(handler['before'])) {
-            handler['before'](defer);
-        } else {
-            defer.resolve();
         }
+        return true;
     }
 
-    window.onerror = function (msg, url, line) {
-        // check to see if it's an error oopsie knows about
-        var err = retrieveError(msg);
-        if (!isOopsieError(err)) {
-            // did not find an oopsie error, so create one
-            err = makeError('javascriptError', [msg, url, line].join('\n'));
+    function describeReports(reports) {
+        if (!reports.length) {
+            return 'nothing was reported';
         }
-        reportError(err);
+        return 'reported:\n' + map(reports, function (report) {
+            return '  ' + report.error.type + ': ' + String(report.error.message).split('\n')[0];
+        }).join('\n');
     }
 
-    //}}}
+    function testFailure(msg) {
+        // thrown regardless of the assertion mode; a test expectation is not an app assertion
+        return makeError('assertionError', msg);
+    }
 
-    //{{{ set up configurable settings
+    function expectReported(type, matcher) {
+        // throws unless a matching report was captured; returns the (first) matching report
+        var reports = getReports(),
+            found = grep(reports, function (report) {
+                return reportMatches(report, type, matcher);
+            });
 
-    var defaultConfig = {
-        app: 'unknown',
-        project: '',
-        xml: ''
-    };
+        if (!found.length) {
+            throw testFailure([
+                '[oopsie.testing.expectReported] expected a report',
+                type ? 'of type ' + type : '',
+                matcher !== undefined ? 'matching ' + (isFunction(matcher) ? 'a function' : stringify(matcher)) : ''
+            ].join(' ').replace(/\s+$/, '') + '; ' + describeReports(reports));
+        }
+        return found[0];
+    }
 
-    //}}}
+    function expectNoReports() {
+        var reports = getReports();
+        if (reports.length) {
+            throw testFailure('[oopsie.testing.expectNoReports] expected no reports; ' + describeReports(reports));
+        }
+    }
+
+    //}}} end of testing
 
     //{{{ initialization
 
     errorFactory('assertionError');
     errorFactory('javascriptError');
     errorFactory('oopsieError'); // generic oopsie error object
+    errorFactory('contractError', {parent: 'assertionError'});
+    errorFactory('preconditionError', {parent: 'contractError'});
+    errorFactory('postconditionError', {parent: 'contractError'});
+    errorFactory('unhandledRejection');
+    errorFactory('ajaxError');
+    errorFactory('resourceError');
+    errorFactory('consoleError', {severity: 'warning'});
+    errorFactory('consoleWarning', {severity: 'info'});
+
+    installBreadcrumbRecorders();
+    enableDefaultCapture();
+    saveInitialState(); // for oopsie.testing.reset()
+    ownRange = findOwnRange(ownStart, getRawStack()); // keep this last; see isInternalFrame()
 
     //}}} end of initialization
 
-    window.oopsie = {};
+    var oopsie = {};
     oopsie.version = VERSION;
 
     // some functions are considered so common that for convenience they can be accessed from the root of the namespace
     // these functions can also be found in their appropriate namespaces
     oopsie.stringify = stringify;
+    oopsie.configure = configure;
+    oopsie.setContext = setContext;
+    oopsie.setTag = setTag;
     oopsie.assert = assert;
     oopsie.fail = fail;
+    oopsie.contract = contract;
+    oopsie.breadcrumb = breadcrumb;
 
     // namespaced functionality
     oopsie.exception = {
         errorFactory: errorFactory,
+        makeError: makeError,
+        wrap: wrap,
+        getCauseChain: getCauseChain,
+        formatCauseChain: formatCauseChain,
+        is: is,
         createErrorClass: createErrorClass,
+        parseStack: parseStack,
+        getFrames: getFrames,
         audit: audit,
+        auditCallback: auditCallback,
+        auditTimeout: auditTimeout,
+        auditInterval: auditInterval,
+        auditDeferred: auditDeferred,
+        enableAsyncAudit: enableAsyncAudit,
+        disableAsyncAudit: disableAsyncAudit,
         auditMethods: auditMethods,
         auditPublicMethods: auditPublicMethods,
-        auditPrivateMethods: auditPrivateMethods
+        auditPrivateMethods: auditPrivateMethods,
+        contract: contract,
+        contractMethods: contractMethods
     };
     oopsie.tostring = {
         stringify: stringify,
-        addTranslator: addTranslator
+        configure: configureStringify,
+        addTranslator: addTranslator,
+        parse: parse,
+        addFormatter: addFormatter,
+        format: format,
+        formatBatch: formatBatch
     },
     oopsie.assertions = {
         assert: assert,
-        fail: fail
+        fail: fail,
+        equal: assertEqual,
+        notEqual: assertNotEqual,
+        deepEqual: assertDeepEqual,
+        type: assertType,
+        instanceOf: assertInstanceOf,
+        matches: assertMatches,
+        throws: assertThrows,
+        inRange: assertInRange,
+        shape: assertShape,
+        typeOf: typeOf,
+        configure: configureAssertions
     };
     oopsie.dev = {
         debug: debug,
         alert: alert,
         reload: reload,
+        redirect: redirect,
+
+        configureOverlay: configureOverlay,
+        clearOverlay: clearOverlay,
+        removeOverlay: removeOverlay,
 
         // RECOMMEND YOU ONLY USE IN DEVELOPMENT
         alertOnAssertFailure: false, // if true, assertion failures will trigger an alert popup
-        debugOnAssertFailure: false  // if true, assertion failures will trigger a debugger breakpoint
+        debugOnAssertFailure: false, // if true, assertion failures will trigger a debugger breakpoint
+        showOverlay: false           // if true, reported errors are listed in an in-page panel (never in production)
     };
     oopsie.introspection = {
         getPublicMethods: getPublicMethods,
@@ -699,10 +5294,80 @@ Dependencies:
         getAllMethods: getAllMethods,
         getPublicProperties: getPublicProperties,
         getPrivateProperties: getPrivateProperties,
-        getAllProperties: getAllProperties
+        getAllProperties: getAllProperties,
+        takeSnapshot: takeSnapshot,
+        diffSnapshots: diffSnapshots
+    };
+    oopsie.errors = {
+        get: getError,
+        recent: getRecentErrors,
+        byType: getErrorsByType,
+        clear: clearRegistry,
+        configure: configureRegistry,
+        sessionId: sessionId
+    };
+    oopsie.breadcrumbs = {
+        add: breadcrumb,
+        get: getBreadcrumbs,
+        clear: clearBreadcrumbs,
+        configure: configureBreadcrumbs,
+        describeElement: describeElement
+    };
+    oopsie.redaction = {
+        configure: configureRedaction,
+        redact: redact,
+        redactString: redactString
+    };
+    oopsie.capture = {
+        enable: enableCapture,
+        disable: disableCapture,
+        isCapturing: isCapturing,
+        interceptConsole: interceptConsole,
+        restoreConsole: restoreConsole
+    };
+    oopsie.severity = {
+        levels: severityLevels.slice(),
+        configure: configureSeverity,
+        compare: compareSeverity
+    };
+    oopsie.throttle = {
+        configure: configureThrottle,
+        reset: resetThrottle,
+        getKey: getThrottleKey
+    };
+    oopsie.testing = {
+        install: install,
+        uninstall: uninstall,
+        reset: resetState,
+        createReporter: createMemoryReporter,
+        reports: getReports,
+        lastReport: lastReport,
+        clearReports: clearReports,
+        expectReported: expectReported,
+        expectNoReports: expectNoReports,
+        useFakeClock: useFakeClock,
+        useRealClock: useRealClock,
+        useSyncPromises: useSyncPromises,
+        useRandom: useRandom,
+        clock: null // the fake clock, while it is in use
+    };
+    oopsie.recovery = {
+        reload: reloadPolicy,
+        redirect: redirectPolicy,
+        retry: retryPolicy,
+        notifyUser: notifyUserPolicy
     };
     oopsie.report = {
-        reporter: null, // the mechanism for reporting to an external source; must provide this piece yourself
-        addHandler: addHandler
+        reporter: null, // the mechanism for reporting to an external source; provide your own or use httpReporter
+        error: report,
+        addReporter: addReporter,
+        removeReporter: removeReporter,
+        addProcessor: addProcessor,
+        removeProcessor: removeProcessor,
+        addHandler: addHandler,
+        removeHandler: removeHandler,
+        httpReporter: createHttpReporter
     };
-})(jQuery, window, document);
+
+    return oopsie;
+});
@@ -0,0 +1,482 @@
+/*
+oopsie.sourcemap.js - maps stack frames from minified code back to the original source
+Written by: Seth Thomas
+
+Optional add-on for oopsie.js; works in the browser (oopsie.sourcemap) and in Node.js
+(require('./oopsie.sourcemap')), so a collector can de-minify the reports it receives.
+
+Dependencies:
+    none; source maps are loaded with jQuery AJAX when it is available, otherwise with XMLHttpRequest or fetch
+
+Browser:
+    oopsie.report.reporter = oopsie.report.httpReporter({url: '/errors'});
+    oopsie.sourcemap.install({ // every reporter gets the resolved frames
+        getMapUrl: function (file) { return file + '.map'; } // the default
+    });
+
+Node.js:
+    var sourcemap = require('./oopsie.sourcemap'),
+        resolver = sourcemap.createResolver({
+            loadMap: function (file) {
+                // return the source map object for a (minified) file, or null
+            }
+        });
+    report = resolver.resolveReport(report);
+*/
+
+(function (root, undefined) {
+    'use strict';
+
+    //{{{ internal helpers
+
+    function hasOwn(context, name) {
+        return Object.prototype.hasOwnProperty.call(context, name);
+    }
+
+    function isFunction(value) {
+        return typeof(value) === 'function';
+    }
+
+    function copy(o) {
+        var c = {},
+            k;
+        for (k in o) {
+            if (hasOwn(o, k)) {
+                c[k] = o[k];
+            }
+        }
+        return c;
+    }
+
+    //}}}
+
+    //{{{ source map parsing
+
+    // only version 3 source maps are supported
+    // https://docs.google.com/document/d/1U1RGAehQwRypUTovF1KRlpiOFze0b-_2gc6fAH0KY0k
+
+    var base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/',
+        base64Values = {},
+        VLQ_SHIFT = 5,
+        VLQ_CONTINUATION = 1 << VLQ_SHIFT, // 100000
+        VLQ_MASK = VLQ_CONTINUATION - 1;   // 011111
+
+    (function () {
+        for (var i = 0; i < base64Chars.length; i++) {
+            base64Values[base64Chars.charAt(i)] = i;
+        }
+    })();
+
+    function decodeSegment(str) {
+        // decodes a comma separated mapping segment into an array of (relative) numbers
+        var values = [],
+            value = 0,
+            shift = 0,
+            digit,
+            i,
+            len;
+
+        for (i = 0, len = str.length; i < len; i++) {
+            digit = base64Values[str.charAt(i)];
+            if (digit === undefined) {
+                throw new Error('invalid base64 VLQ character "' + str.charAt(i) + '"');
+            }
+            value += (digit & VLQ_MASK) << shift;
+            if (digit & VLQ_CONTINUATION) {
+                shift += VLQ_SHIFT;
+            } else {
+                // the lowest bit is the sign
+                values.push(value & 1 ? -(value >> 1) : value >> 1);
+                value = 0;
+                shift = 0;
+            }
+        }
+
+        return values;
+    }
+
+    function parseMappings(mappings) {
+        // returns an array (one entry per generated line) of segments sorted by generated column:
+        //   {column, source, line, originalColumn, name}
+        // all values are 0-based; source and name are indexes
+        var lines = mappings.split(';'),
+            parsed = [],
+            source = 0,
+            line = 0,
+            originalColumn = 0,
+            name = 0,
+            i,
+            j,
+            segments,
+            segment,
+            column,
+            values;
+
+        for (i = 0; i < lines.length; i++) {
+            segments = [];
+            column = 0; // the generated column is relative to the start of each line
+            values = lines[i] ? lines[i].split(',') : [];
+
+            for (j = 0; j < values.length; j++) {
+                if (!values[j]) {
+                    continue;
+                }
+                segment = decodeSegment(values[j]);
+                column += segment[0];
+                if (segment.length >= 4) {
+                    source += segment[1];
+                    line += segment[2];
+                    originalColumn += segment[3];
+                    if (segment.length >= 5) {
+                        name += segment[4];
+                    }
+                    segments.push({
+                        column: column,
+                        source: source,
+                        line: line,
+                        originalColumn: originalColumn,
+                        name: segment.length >= 5 ? name : null
+                    });
+                }
+                // 1 value segments map to nothing in the original source
+            }
+
+            segments.sort(function (a, b) {
+                return a.column - b.column;
+            });
+            parsed.push(segments);
+        }
+
+        return parsed;
+    }
+
+    function joinUrl(base, path) {
+        if (!base || /^(?:[a-z][a-z0-9+.\-]*:|\/)/i.test(path)) {
+            return path; // already absolute
+        }
+        return base.replace(/\/?$/, '/') + path;
+    }
+
+    function parseSourceMap(map) {
+        // map can be the source map object or its JSON string
+        // returns a consumer: {originalPositionFor: function (line, column) {...}}
+        if (typeof(map) === 'string') {
+            map = JSON.parse(map.replace(/^\)\]\}'[^\n]*\n/, '')); // strip the XSSI protection prefix
+        }
+        if (!map || map.version !== 3 || typeof(map.mappings) !== 'string') {
+            throw new Error('[oopsie.sourcemap] only version 3 source maps are supported');
+        }
+
+        var lines = parseMappings(map.mappings),
+            sources = map.sources || [],
+            names = map.names || [];
+
+        function originalPositionFor(line, column) {
+            // line and column are 1-based, the way they are reported in stack traces;
+            // returns a 1-based {source, line, column, name} or null if there isn't a mapping
+            var segments = lines[line - 1],
+                low = 0,
+                high,
+                mid,
+                found = null;
+
+            if (!segments || !segments.length) {
+                return null;
+            }
+
+            column = (column || 1) - 1;
+            high = segments.length - 1;
+
+            // find the last segment that starts at or before the column
+            while (low <= high) {
+                mid = (low + high) >> 1;
+                if (segments[mid].column <= column) {
+                    found = segments[mid];
+                    low = mid + 1;
+                } else {
+                    high = mid - 1;
+                }
+            }
+
+            if (!found) {
+                return null;
+            }
+
+            return {
+                source: joinUrl(map.sourceRoot, sources[found.source]),
+                line: found.line + 1,
+                column: found.originalColumn + 1,
+                name: found.name === null ? null : names[found.name]
+            };
+        }
+
+        return {
+            file: map.file,
+            originalPositionFor: originalPositionFor
+        };
+    }
+
+    //}}} end of source map parsing
+
+    //{{{ frame resolution
+
+    function resolveFrame(frame, consumer) {
+        // returns a copy of the frame pointing at the original source; the minified location is kept
+        // as .generated; frames without a mapping are returned unchanged
+        var pos = consumer && frame.line ? consumer.originalPositionFor(frame.line, frame.column) : null,
+            resolved;
+
+        if (!pos) {
+            return frame;
+        }
+
+        resolved = copy(frame);
+        resolved.file = pos.source;
+        resolved.line = pos.line;
+        resolved.column = pos.column;
+        if (pos.name) {
+            resolved.functionName = pos.name;
+        }
+        resolved.generated = {
+            functionName: frame.functionName,
+            file: frame.file,
+            line: frame.line,
+            column: frame.column
+        };
+
+        return resolved;
+    }
+
+    function defaultGetMapUrl(file) {
+        return file + '.map';
+    }
+
+    function defaultFetchMap(url, callback) {
+        // uses jQuery when it is loaded, otherwise XMLHttpRequest or fetch; calls back with the map's text,
+        // or null if it couldn't be loaded
+        var $ = root.jQuery,
+            xhr;
+
+        if ($ && isFunction($.ajax)) {
+            $.ajax({
+                url: url,
+                dataType: 'text',
+                global: false // don't trigger global ajax events (breadcrumbs, etc.)
+            }).done(function (text) {
+                callback(text);
+            }).fail(function () {
+                callback(null);
+            });
+        } else if (isFunction(root.XMLHttpRequest)) {
+            xhr = new root.XMLHttpRequest();
+            xhr.open('GET', url, true);
+            xhr.onreadystatechange = function () {
+                if (xhr.readyState === 4) {
+                    callback(xhr.status >= 200 && xhr.status < 300 ? xhr.responseText : null);
+                }
+            };
+            xhr.send();
+        } else if (isFunction(root.fetch)) {
+            root.fetch(url).then(function (response) {
+                return response.ok ? response.text() : null;
+            }).then(undefined, function () {
+                return null;
+            }).then(function (text) {
+                callback(text);
+            });
+        } else {
+            callback(null); // maps have to be provided up front or through loadMap
+        }
+    }
+
+    function createResolver(options) {
+        // options:
+        //   maps      - {file: source map} for maps that are already available; also acts as the cache
+        //   getMapUrl - function (file) returning the url of the file's source map
+        //   loadMap   - function (file, url) synchronously returning a source map or null (ex: Node.js fs)
+        //   fetchMap  - function (url, callback) asynchronously loading a source map; defaults to jQuery AJAX,
+        //               XMLHttpRequest or fetch, whichever is available
+        var opts = {
+                maps: {},
+                getMapUrl: defaultGetMapUrl,
+                loadMap: null,
+                fetchMap: defaultFetchMap
+            },
+            consumers = {}, // file -> consumer, or null if the file has no usable map
+            pending = {},   // file -> callbacks waiting for the map to be fetched
+            k;
+
+        for (k in options || {}) {
+            if (hasOwn(options, k)) {
+                opts[k] = options[k];
+            }
+        }
+
+        function toConsumer(map) {
+            try {
+                return map ? parseSourceMap(map) : null;
+            } catch (e) {
+                return null; // a broken map shouldn't break reporting
+            }
+        }
+
+        function getConsumerSync(file) {
+            if (!file) {
+                return null;
+            }
+            if (!hasOwn(consumers, file)) {
+                if (hasOwn(opts.maps, file)) {
+                    consumers[file] = toConsumer(opts.maps[file]);
+                } else if (isFunction(opts.loadMap)) {
+                    try {
+                        consumers[file] = toConsumer(opts.loadMap(file, opts.getMapUrl(file)));
+                    } catch (e) {
+                        consumers[file] = null;
+                    }
+                } else {
+                    return undefined; // unknown; has to be fetched
+                }
+            }
+            return consumers[file];
+        }
+
+        function getConsumer(file, callback) {
+            var consumer = getConsumerSync(file);
+
+            if (consumer !== undefined || !isFunction(opts.fetchMap)) {
+                callback(consumer || null);
+                return;
+            }
+
+            if (pending[file]) {
+                pending[file].push(callback);
+                return;
+            }
+
+            pending[file] = [callback];
+            opts.fetchMap(opts.getMapUrl(file), function (map) {
+                var callbacks = pending[file];
+                delete pending[file];
+                consumers[file] = toConsumer(map);
+                for (var i = 0; i < callbacks.length; i++) {
+                    callbacks[i](consumers[file]);
+                }
+            });
+        }
+
+        function resolveSync(frames) {
+            // resolves frames using the maps that are already loaded (or can be loaded synchronously)
+            var resolved = [],
+                i;
+            for (i = 0; i < (frames || []).length; i++) {
+                resolved.push(resolveFrame(frames[i], getConsumerSync(frames[i].file)));
+            }
+            return resolved;
+        }
+
+        function resolve(frames, callback) {
+            // resolves frames, fetching source maps as needed; callback(resolvedFrames)
+            var resolved = [],
+                remaining,
+                i;
+
+            frames = frames || [];
+            remaining = frames.length;
+
+            if (!remaining) {
+                callback(resolved);
+                return;
+            }
+
+            for (i = 0; i < frames.length; i++) {
+                (function (pos) {
+                    getConsumer(frames[pos].file, function (consumer) {
+                        resolved[pos] = resolveFrame(frames[pos], consumer);
+                        remaining -= 1;
+                        if (!remaining) {
+                            callback(resolved);
+                        }
+                    });
+                })(i);
+            }
+        }
+
+        function resolveReport(report) {
+            // post-processing mode: returns a copy of a report envelope with its frames resolved
+            var resolved = copy(report);
+            if (report && report.error && report.error.frames) {
+                resolved.error = copy(report.error);
+                resolved.error.frames = resolveSync(report.error.frames);
+            }
+            return resolved;
+        }
+
+        return {
+            resolve: resolve,
+            resolveSync: resolveSync,
+            resolveReport: resolveReport
+        };
+    }
+
+    function install(options) {
+        // browser only: resolves the frames of every report once, before it is handed to the reporters
+        // (oopsie.report.reporter and the ones added with oopsie.report.addReporter)
+        var oopsie = root.oopsie,
+            resolver = createResolver(options);
+
+        if (!oopsie || !isFunction(oopsie.report.addProcessor)) {
+            throw new Error('[oopsie.sourcemap.install] requires oopsie.js');
+        }
+
+        function setFrames(envelope, err, frames) {
+            envelope.error.frames = frames;
+            if (err) {
+                err.frames = frames;
+            }
+            return envelope;
+        }
+
+        resolver.processor = function (envelope, err) {
+            // returns a promise of the envelope once source maps have been fetched; without promises,
+            // only the maps that are already loaded are used
+            var frames = envelope.error && envelope.error.frames;
+
+            if (!frames) {
+                return envelope;
+            }
+
+            if (!isFunction(root.Promise)) {
+                return setFrames(envelope, err, resolver.resolveSync(frames));
+            }
+
+            return new root.Promise(function (resolve, reject) {
+                resolver.resolve(frames, function (resolved) {
+                    try {
+                        resolve(setFrames(envelope, err, resolved));
+                    } catch (e) {
+                        reject(e);
+                    }
+                });
+            });
+        };
+
+        oopsie.report.addProcessor(resolver.processor);
+
+        return resolver; // oopsie.report.removeProcessor(resolver.processor) uninstalls it
+    }
+
+    //}}} end of frame resolution
+
+    var sourcemap = {
+        parseSourceMap: parseSourceMap,
+        resolveFrame: resolveFrame,
+        createResolver: createResolver,
+        install: install
+    };
+
+    if (typeof(module) === 'object' && module.exports) {
+        module.exports = sourcemap;
+    } else if (root.oopsie) {
+        root.oopsie.sourcemap = sourcemap;
+    }
+})(typeof(window) !== 'undefined' ? window : typeof(global) !== 'undefined' ? global : this);
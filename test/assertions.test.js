@@ -0,0 +1,35 @@
+// run with: node --test test/
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    oopsie = require('../oopsie');
+
+var check = oopsie.assertions;
+
+test.afterEach(function () {
+    oopsie.testing.reset();
+});
+
+test('global and sticky patterns match every time', function () {
+    [/a/g, /a/y].forEach(function (re) {
+        check.matches('abc', re);
+        check.matches('abc', re);
+
+        check.shape({id: 'abc'}, {id: re});
+        check.shape({id: 'abc'}, {id: re});
+
+        check.throws(function () {
+            throw new Error('abc');
+        }, re);
+        check.throws(function () {
+            throw new Error('abc');
+        }, re);
+    });
+});
+
+test('a string that does not match fails', function () {
+    assert.throws(function () {
+        check.matches('xyz', /a/g);
+    }, /value does not match/);
+});
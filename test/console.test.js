@@ -0,0 +1,86 @@
+// run with: node --test test/
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    oopsie = require('../oopsie');
+
+var realError = console.error,
+    logged;
+
+function wait(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+function messages(envelopes) {
+    return envelopes.map(function (envelope) {
+        return envelope.error.message;
+    });
+}
+
+test.beforeEach(function () {
+    logged = [];
+    console.error = function (msg) {
+        logged.push(msg); // keeps the test output clean
+    };
+    oopsie.capture.interceptConsole({warn: false});
+});
+
+test.afterEach(function () {
+    oopsie.testing.reset(); // also restores the console
+    console.error = realError;
+});
+
+test('a console call during a pending report is still captured', function () {
+    var sent = [];
+
+    oopsie.report.addReporter(function (envelope) {
+        sent.push(envelope);
+        return wait(100);
+    });
+
+    console.error('first');
+    return wait(20).then(function () {
+        console.error('while the first report is pending');
+        return wait(20);
+    }).then(function () {
+        console.error('third');
+        return wait(150);
+    }).then(function () {
+        assert.deepStrictEqual(messages(sent), ['first', 'while the first report is pending', 'third']);
+        assert.strictEqual(logged.length, 3);
+    });
+});
+
+test('a reporter that logs while it is called is ignored', function () {
+    var sent = [];
+
+    oopsie.report.addReporter(function (envelope) {
+        sent.push(envelope);
+        console.error('reporter is sending');
+    });
+
+    console.error('app error');
+    return wait(20).then(function () {
+        assert.deepStrictEqual(messages(sent), ['app error']);
+    });
+});
+
+test('a reporter that logs once its request is done does not start a loop', function () {
+    var sent = [];
+
+    oopsie.throttle.configure({enabled: false});
+    oopsie.report.addReporter(function (envelope) {
+        sent.push(envelope);
+        return wait(10).then(function () {
+            console.error('sending a report failed');
+        });
+    });
+
+    console.error('app error');
+    return wait(200).then(function () {
+        assert.deepStrictEqual(messages(sent), ['app error', 'sending a report failed']);
+    });
+});
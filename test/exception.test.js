@@ -0,0 +1,28 @@
+// run with: node --test test/
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    oopsie = require('../oopsie');
+
+test.afterEach(function () {
+    oopsie.testing.reset();
+});
+
+test('errors of a reportImmediately type are reported as soon as they are made', function () {
+    oopsie.testing.install();
+    oopsie.exception.errorFactory('loadError', {reportImmediately: true});
+
+    var err = oopsie.exception.makeError('loadError', 'the config could not be loaded');
+
+    assert.strictEqual(err.type, 'loadError');
+    oopsie.testing.expectReported('loadError', 'the config could not be loaded');
+});
+
+test('other errors are only reported when they are thrown or reported', function () {
+    oopsie.testing.install();
+    oopsie.exception.errorFactory('loadError');
+    oopsie.exception.makeError('loadError', 'the config could not be loaded');
+
+    oopsie.testing.expectNoReports();
+});
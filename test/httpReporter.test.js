@@ -0,0 +1,245 @@
+// run with: node --test test/
+// oopsie.report.httpReporter against a local stub server; requests are sent with fetch (Node.js 18+)
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    http = require('node:http'),
+    oopsie = require('../oopsie');
+
+function startServer() {
+    // responds to each request with the next status in server.statuses (200 when there are none left)
+    var server = http.createServer(function (req, res) {
+        var body = '';
+        req.on('data', function (chunk) {
+            body += chunk;
+        });
+        req.on('end', function () {
+            server.requests.push({
+                time: Date.now(),
+                path: req.url,
+                contentType: req.headers['content-type'],
+                reports: JSON.parse(body).reports
+            });
+            res.statusCode = server.statuses.length ? server.statuses.shift() : 200;
+            res.end();
+        });
+    });
+
+    server.requests = [];
+    server.statuses = [];
+
+    return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', function () {
+            server.url = 'http://127.0.0.1:' + server.address().port + '/errors';
+            resolve(server);
+        });
+    });
+}
+
+function envelope(n) {
+    return {error: {type: 'oopsieError', message: 'error ' + n}};
+}
+
+function messages(request) {
+    return request.reports.map(function (report) {
+        return report.error.message;
+    });
+}
+
+function createStorage() {
+    // a localStorage stand-in (Node.js doesn't have one)
+    var items = {};
+    return {
+        items: items,
+        getItem: function (key) {
+            return Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null;
+        },
+        setItem: function (key, value) {
+            items[key] = String(value);
+        },
+        removeItem: function (key) {
+            delete items[key];
+        }
+    };
+}
+
+function waitFor(condition, timeout) {
+    var start = Date.now();
+    return new Promise(function (resolve, reject) {
+        (function check() {
+            if (condition()) {
+                resolve();
+            } else if (Date.now() - start > (timeout || 2000)) {
+                reject(new Error('timed out'));
+            } else {
+                setTimeout(check, 5);
+            }
+        })();
+    });
+}
+
+var server;
+
+test.beforeEach(function () {
+    return startServer().then(function (s) {
+        server = s;
+    });
+});
+
+test.afterEach(function () {
+    return new Promise(function (resolve) {
+        server.close(resolve);
+    });
+});
+
+test('reports are sent in batches of batchSize', function () {
+    var reporter = oopsie.report.httpReporter({url: server.url, batchSize: 3, flushDelay: 20, storageKey: ''}),
+        sent = [];
+
+    for (var i = 1; i <= 7; i++) {
+        sent.push(reporter(envelope(i)));
+    }
+
+    return Promise.all(sent).then(function () {
+        assert.deepStrictEqual(server.requests.map(messages), [
+            ['error 1', 'error 2', 'error 3'],
+            ['error 4', 'error 5', 'error 6'],
+            ['error 7']
+        ]);
+        assert.strictEqual(server.requests[0].contentType, 'application/json');
+        assert.strictEqual(reporter.getQueue().length, 0);
+    });
+});
+
+test('reports wait flushDelay for more reports', function () {
+    var reporter = oopsie.report.httpReporter({url: server.url, flushDelay: 50, storageKey: ''}),
+        start = Date.now(),
+        first = reporter(envelope(1));
+
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 10);
+    }).then(function () {
+        return Promise.all([first, reporter(envelope(2))]);
+    }).then(function () {
+        assert.strictEqual(server.requests.length, 1);
+        assert.deepStrictEqual(messages(server.requests[0]), ['error 1', 'error 2']);
+        assert.ok(server.requests[0].time - start >= 45);
+    });
+});
+
+test('failed requests are retried with an exponential backoff', function () {
+    var reporter = oopsie.report.httpReporter({url: server.url, flushDelay: 0, retryDelay: 40, storageKey: ''}),
+        sent;
+
+    server.statuses = [500, 503];
+    sent = reporter(envelope(1));
+
+    return sent.then(function () {
+        assert.fail('the first attempt failed');
+    }, function () {
+        // rejected when the first attempt fails; the report stays queued for the retries
+        assert.strictEqual(reporter.getQueue().length, 1);
+        return waitFor(function () {
+            return server.requests.length === 3 && !reporter.getQueue().length;
+        });
+    }).then(function () {
+        var times = server.requests.map(function (request) {
+            return request.time;
+        });
+        assert.ok(times[1] - times[0] >= 35, 'first retry after retryDelay');
+        assert.ok(times[2] - times[1] >= 75, 'second retry after twice the retryDelay');
+        server.requests.forEach(function (request) {
+            assert.deepStrictEqual(messages(request), ['error 1']);
+        });
+    });
+});
+
+test('retries stop after maxRetries', function () {
+    var reporter = oopsie.report.httpReporter({url: server.url, flushDelay: 0, retryDelay: 5, maxRetries: 2, storageKey: ''});
+
+    server.statuses = [500, 500, 500, 500];
+    reporter(envelope(1)).then(undefined, function () {});
+
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 150);
+    }).then(function () {
+        assert.strictEqual(server.requests.length, 3); // the first attempt and 2 retries
+        assert.strictEqual(reporter.getQueue().length, 1); // kept for the next report
+    });
+});
+
+test('the queue is bounded by maxQueue; the oldest reports are dropped', function () {
+    var reporter = oopsie.report.httpReporter({url: server.url, flushDelay: 50, maxQueue: 2, storageKey: ''}),
+        first = reporter(envelope(1)),
+        rest = [reporter(envelope(2)), reporter(envelope(3))];
+
+    return first.then(function () {
+        assert.fail('the report should have been dropped');
+    }, function (reason) {
+        assert.match(reason.message, /dropped from a full queue/);
+        assert.strictEqual(reporter.getQueue().length, 2);
+        return Promise.all(rest);
+    }).then(function () {
+        assert.strictEqual(server.requests.length, 1);
+        assert.deepStrictEqual(messages(server.requests[0]), ['error 2', 'error 3']);
+    });
+});
+
+test('flush() returns the promise of the batch that is in flight', function () {
+    var reporter = oopsie.report.httpReporter({url: server.url, flushDelay: 1000, storageKey: ''}),
+        sent = reporter(envelope(1)),
+        flushed = reporter.flush();
+
+    assert.strictEqual(reporter.flush(), flushed);
+
+    return Promise.all([sent, flushed]).then(function () {
+        assert.strictEqual(server.requests.length, 1);
+        assert.strictEqual(reporter.getQueue().length, 0);
+    });
+});
+
+test('every reporter keeps its own persisted queue', function () {
+    var storage = createStorage(),
+        fatalUrl = server.url + '/fatal',
+        options = {flushDelay: 0, maxRetries: 0},
+        errors,
+        fatal;
+
+    global.localStorage = storage;
+    server.statuses = [500, 500]; // the first request of each reporter fails
+
+    errors = oopsie.report.httpReporter(Object.assign({url: server.url}, options));
+    fatal = oopsie.report.httpReporter(Object.assign({url: fatalUrl}, options));
+    [errors(envelope(1)), errors(envelope(2)), fatal(envelope(3))].forEach(function (sent) {
+        sent.then(undefined, function () {});
+    });
+
+    return waitFor(function () {
+        return server.requests.length === 2;
+    }).then(function () {
+        assert.deepStrictEqual(Object.keys(storage.items).sort(), [
+            'oopsie.reportQueue:' + server.url,
+            'oopsie.reportQueue:' + fatalUrl
+        ]);
+
+        // after a reload, each reporter sends its own queue to its own url
+        server.requests = [];
+        oopsie.report.httpReporter(Object.assign({url: server.url}, options));
+        oopsie.report.httpReporter(Object.assign({url: fatalUrl}, options));
+        return waitFor(function () {
+            return server.requests.length === 2 && !Object.keys(storage.items).length;
+        });
+    }).then(function () {
+        var byPath = {};
+        server.requests.forEach(function (request) {
+            byPath[request.path] = messages(request);
+        });
+        assert.deepStrictEqual(byPath, {
+            '/errors': ['error 1', 'error 2'],
+            '/errors/fatal': ['error 3']
+        });
+    }).finally(function () {
+        delete global.localStorage;
+    });
+});
@@ -0,0 +1,78 @@
+// run with: node --test test/
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    oopsie = require('../oopsie');
+
+function roundTrip(value) {
+    return oopsie.tostring.parse(oopsie.tostring.stringify(value, {tagged: true}));
+}
+
+test.afterEach(function () {
+    oopsie.testing.reset();
+});
+
+test('cycles and shared references point to the same object again', function () {
+    var shared = {n: 1},
+        o = {a: shared, b: shared, list: [shared]},
+        copy;
+
+    o.self = o;
+    o.list.push(o.list);
+    copy = roundTrip(o);
+
+    assert.notStrictEqual(copy, o);
+    assert.deepStrictEqual(copy.a, {n: 1});
+    assert.strictEqual(copy.b, copy.a);
+    assert.strictEqual(copy.list[0], copy.a);
+    assert.strictEqual(copy.list[1], copy.list);
+    assert.strictEqual(copy.self, copy);
+});
+
+test('Maps and Sets are restored', function () {
+    var shared = {n: 1},
+        copy = roundTrip({
+            map: new Map([['x', shared], [2, 'two']]),
+            set: new Set(['a', shared]),
+            shared: shared
+        });
+
+    assert.ok(copy.map instanceof Map);
+    assert.deepStrictEqual(Array.from(copy.map.keys()), ['x', 2]);
+    assert.strictEqual(copy.map.get(2), 'two');
+    assert.ok(copy.set instanceof Set);
+    assert.strictEqual(copy.set.size, 2);
+    assert.ok(copy.set.has('a'));
+    assert.strictEqual(copy.map.get('x'), copy.shared);
+    assert.ok(copy.set.has(copy.shared));
+});
+
+test('Dates, RegExps and special numbers are restored', function () {
+    var copy = roundTrip({
+        date: new Date(Date.UTC(2020, 0, 2)),
+        invalid: new Date(NaN),
+        re: /a+b/gi,
+        nan: NaN,
+        inf: Infinity,
+        negInf: -Infinity
+    });
+
+    assert.ok(copy.date instanceof Date);
+    assert.strictEqual(copy.date.toISOString(), '2020-01-02T00:00:00.000Z');
+    assert.ok(isNaN(copy.invalid.getTime()));
+    assert.ok(copy.re instanceof RegExp);
+    assert.strictEqual(String(copy.re), '/a+b/gi');
+    assert.ok(Number.isNaN(copy.nan));
+    assert.strictEqual(copy.inf, Infinity);
+    assert.strictEqual(copy.negInf, -Infinity);
+});
+
+test('undefined and the string "undefined" are told apart', function () {
+    var copy = roundTrip({missing: undefined, text: 'undefined', list: [undefined, 'undefined']});
+
+    assert.ok('missing' in copy);
+    assert.strictEqual(copy.missing, undefined);
+    assert.strictEqual(copy.text, 'undefined');
+    assert.deepStrictEqual(copy.list, [undefined, 'undefined']);
+});
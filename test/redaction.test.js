@@ -0,0 +1,45 @@
+// run with: node --test test/
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    oopsie = require('../oopsie');
+
+test.afterEach(function () {
+    oopsie.testing.reset();
+});
+
+test('sensitive query params are redacted', function () {
+    assert.strictEqual(
+        oopsie.redaction.redactString('http://x.com/cb?access_token=abc123&state=1'),
+        'http://x.com/cb?access_token=%5Bredacted%5D&state=1'
+    );
+});
+
+test('sensitive params in the URL fragment are redacted', function () {
+    assert.strictEqual(
+        oopsie.redaction.redactString('http://x.com/cb#access_token=abc123&state=1'),
+        'http://x.com/cb#access_token=%5Bredacted%5D&state=1'
+    );
+    assert.strictEqual(
+        oopsie.redaction.redactString('http://x.com/cb?a=1#state=1&id_token=abc'),
+        'http://x.com/cb?a=1#state=1&id_token=%5Bredacted%5D'
+    );
+});
+
+test('other params are left alone', function () {
+    var url = 'http://x.com/page?q=shoes#section=2';
+    assert.strictEqual(oopsie.redaction.redactString(url), url);
+});
+
+test('values of sensitive keys and patterns are redacted by stringify', function () {
+    assert.strictEqual(
+        oopsie.tostring.stringify({password: 'hunter2', note: 'mail me at someone@example.com'}),
+        '{"password":"[redacted]","note":"mail me at [redacted email]"}'
+    );
+});
+
+test('redaction can be turned off', function () {
+    oopsie.redaction.configure({enabled: false});
+    assert.strictEqual(oopsie.redaction.redactString('#access_token=abc'), '#access_token=abc');
+});
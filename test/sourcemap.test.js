@@ -0,0 +1,106 @@
+// run with: node --test test/
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    http = require('node:http'),
+    sourcemap = require('../oopsie.sourcemap');
+
+// app.min.js line 1, column 1 comes from app.js line 1, column 1 (function foo)
+var map = {version: 3, file: 'app.min.js', sources: ['app.js'], names: ['foo'], mappings: 'AAAAA'};
+
+function serveMaps(maps) {
+    // responds with maps[path] as JSON, or a 404
+    var server = http.createServer(function (req, res) {
+        server.paths.push(req.url);
+        res.statusCode = maps[req.url] ? 200 : 404;
+        res.end(maps[req.url] ? JSON.stringify(maps[req.url]) : '');
+    });
+
+    server.paths = [];
+
+    return new Promise(function (resolve) {
+        server.listen(0, '127.0.0.1', function () {
+            server.url = 'http://127.0.0.1:' + server.address().port;
+            resolve(server);
+        });
+    });
+}
+
+test('positions are mapped back to the original source', function () {
+    // line 1: column 1 -> src/app.js 1:1, column 6 -> src/app.js 1:6 (foo); line 2: column 1 -> src/app.js 2:1
+    var consumer = sourcemap.parseSourceMap({
+        version: 3,
+        file: 'app.min.js',
+        sourceRoot: 'src',
+        sources: ['app.js'],
+        names: ['foo'],
+        mappings: 'AAAA,KAAKA;AACL'
+    });
+
+    assert.deepStrictEqual(consumer.originalPositionFor(1, 1), {source: 'src/app.js', line: 1, column: 1, name: null});
+    assert.deepStrictEqual(consumer.originalPositionFor(1, 8), {source: 'src/app.js', line: 1, column: 6, name: 'foo'});
+    assert.deepStrictEqual(consumer.originalPositionFor(2, 3), {source: 'src/app.js', line: 2, column: 1, name: null});
+    assert.strictEqual(consumer.originalPositionFor(3, 1), null);
+});
+
+test('maps can be JSON with an XSSI prefix', function () {
+    var consumer = sourcemap.parseSourceMap(')]}\'\n' + JSON.stringify(map));
+    assert.deepStrictEqual(consumer.originalPositionFor(1, 1), {source: 'app.js', line: 1, column: 1, name: 'foo'});
+});
+
+test('only version 3 maps are supported', function () {
+    assert.throws(function () {
+        sourcemap.parseSourceMap({version: 2, sources: [], mappings: ''});
+    }, /only version 3/);
+});
+
+test('resolveReport returns a copy of the report with the frames resolved', function () {
+    var resolver = sourcemap.createResolver({maps: {'http://x.com/app.min.js': map}}),
+        report = {
+            error: {
+                message: 'x',
+                frames: [
+                    {functionName: 'a', file: 'http://x.com/app.min.js', line: 1, column: 1},
+                    {functionName: 'b', file: 'http://x.com/vendor.js', line: 3, column: 4}
+                ]
+            }
+        },
+        resolved = resolver.resolveReport(report);
+
+    assert.deepStrictEqual(resolved.error.frames, [
+        {
+            functionName: 'foo',
+            file: 'app.js',
+            line: 1,
+            column: 1,
+            generated: {functionName: 'a', file: 'http://x.com/app.min.js', line: 1, column: 1}
+        },
+        {functionName: 'b', file: 'http://x.com/vendor.js', line: 3, column: 4}
+    ]);
+    assert.strictEqual(resolved.error.message, 'x');
+    assert.strictEqual(report.error.frames[0].file, 'http://x.com/app.min.js'); // unchanged
+});
+
+test('without jQuery, source maps are fetched', function () {
+    return serveMaps({'/app.min.js.map': map}).then(function (server) {
+        var resolver = sourcemap.createResolver(),
+            frames = [
+                {functionName: 'a', file: server.url + '/app.min.js', line: 1, column: 1},
+                {functionName: 'b', file: server.url + '/missing.js', line: 1, column: 1}
+            ];
+
+        return new Promise(function (resolve) {
+            resolver.resolve(frames, resolve);
+        }).then(function (resolved) {
+            assert.deepStrictEqual(
+                [resolved[0].file, resolved[0].line, resolved[0].column, resolved[0].functionName],
+                ['app.js', 1, 1, 'foo']
+            );
+            assert.strictEqual(resolved[1], frames[1]); // no map; left as it was
+            assert.deepStrictEqual(server.paths.sort(), ['/app.min.js.map', '/missing.js.map']);
+        }).finally(function () {
+            server.close();
+        });
+    });
+});
@@ -0,0 +1,94 @@
+// run with: node --test test/
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    oopsie = require('../oopsie');
+
+var parseStack = oopsie.exception.parseStack,
+    app = 'http://example.com/app.js';
+
+function frame(functionName, line, column) {
+    return {functionName: functionName, file: app, line: line, column: column};
+}
+
+test('V8 stacks are parsed', function () {
+    var stack = [
+        'TypeError: x is undefined',
+        '    at foo (' + app + ':12:5)',
+        '    at Object.bar [as baz] (' + app + ':20:10)',
+        '    at new Widget (' + app + ':30:1)',
+        '    at async load (' + app + ':40:3)',
+        '    at ' + app + ':50:7',
+        '    at eval (eval at run (' + app + ':60:2), <anonymous>:1:1)'
+    ].join('\n');
+
+    assert.deepStrictEqual(parseStack(stack), [
+        frame('foo', 12, 5),
+        frame('Object.bar', 20, 10),
+        frame('Widget', 30, 1),
+        frame('load', 40, 3),
+        frame('anonymous', 50, 7),
+        frame('eval', 60, 2)
+    ]);
+});
+
+test('Gecko and Safari stacks are parsed', function () {
+    var stack = [
+        'foo@' + app + ':12:5',
+        '@' + app + ':20:10',
+        'bar@' + app + ':30' // no column in older versions
+    ].join('\n');
+
+    assert.deepStrictEqual(parseStack(stack), [
+        frame('foo', 12, 5),
+        frame('anonymous', 20, 10),
+        frame('bar', 30, undefined)
+    ]);
+});
+
+test('printStackTrace() output is parsed', function () {
+    var stack = [
+        'foo(1,"a")@' + app + ':12:5',
+        '{anonymous}()@' + app + ':20:10'
+    ];
+
+    assert.deepStrictEqual(parseStack(stack), [
+        frame('foo', 12, 5),
+        frame('anonymous', 20, 10)
+    ]);
+});
+
+test('Opera 10+ stacktraces are parsed', function () {
+    var stack = [
+        'Error thrown at line 12, column 5 in foo(a, b) in ' + app + ':',
+        '    throw new Error("x");',
+        'called from line 20, column 10 in <anonymous function>() in ' + app + ':'
+    ].join('\n');
+
+    assert.deepStrictEqual(parseStack(stack), [
+        frame('foo', 12, 5),
+        frame('anonymous', 20, 10)
+    ]);
+});
+
+test('Opera 9 stacktraces are parsed', function () {
+    var stack = [
+        'Statement on line 12: Type mismatch',
+        'Backtrace:',
+        '  Line 12 of linked script ' + app + ': In function foo',
+        '    foo();',
+        '  Line 20 of inline script ' + app,
+        '    bar();'
+    ].join('\n');
+
+    assert.deepStrictEqual(parseStack(stack), [
+        frame('foo', 12, undefined),
+        frame('anonymous', 20, undefined)
+    ]);
+});
+
+test('lines that are not frames are skipped', function () {
+    assert.deepStrictEqual(parseStack('Error: nothing to see\n\n    here'), []);
+    assert.deepStrictEqual(parseStack(undefined), []);
+});
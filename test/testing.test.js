@@ -0,0 +1,60 @@
+// run with: node --test test/
+'use strict';
+
+var test = require('node:test'),
+    assert = require('node:assert'),
+    oopsie = require('../oopsie');
+
+var testing = oopsie.testing;
+
+test.beforeEach(function () {
+    testing.install();
+});
+
+test.afterEach(function () {
+    testing.reset();
+    testing.uninstall();
+});
+
+test('install, expectReported, clock.tick and reset', function () {
+    oopsie.report.error(new Error('boom'));
+    testing.expectReported('javascriptError', /boom/);
+
+    oopsie.report.error(new Error('boom'));
+    assert.strictEqual(testing.reports().length, 1); // throttled
+
+    testing.clock.tick(5000); // past the cooldown
+    oopsie.report.error(new Error('boom'));
+    assert.strictEqual(testing.reports().length, 2);
+
+    testing.reset();
+    testing.expectNoReports();
+
+    oopsie.report.error(new Error('boom')); // the throttle was reset too
+    assert.strictEqual(testing.lastReport().error.message, 'Error: boom');
+});
+
+test('expectReported and expectNoReports throw when they are not met', function () {
+    assert.throws(function () {
+        testing.expectReported('javascriptError');
+    }, /expected a report of type javascriptError/);
+
+    oopsie.report.error(new Error('boom'));
+    assert.throws(function () {
+        testing.expectReported('javascriptError', 'bang');
+    }, /expected a report/);
+    assert.throws(function () {
+        testing.expectNoReports();
+    }, /expected no reports/);
+});
+
+test('reset removes the error factories that were added', function () {
+    oopsie.exception.errorFactory('loadError');
+    assert.throws(function () {
+        oopsie.exception.errorFactory('loadError');
+    }, /error factory already exists/);
+
+    testing.reset();
+    oopsie.exception.errorFactory('loadError');
+    assert.strictEqual(oopsie.exception.makeError('loadError', 'x').type, 'loadError');
+});